@@ -3,16 +3,46 @@ import mdx from '@astrojs/mdx';
 import sitemap from '@astrojs/sitemap';
 import remarkMath from 'remark-math';
 import rehypeMathjax from 'rehype-mathjax';
+import { rehypeHeadingIds } from '@astrojs/markdown-remark';
+import { fileURLToPath } from 'url';
+import { remarkWikiLinks } from './src/plugins/remark-wiki-links.mjs';
+import { rehypeHeadingAnchors } from './src/plugins/rehype-heading-anchors.mjs';
+import { rehypeCollectMathSource, rehypeRestoreMathSource } from './src/plugins/rehype-math-source.mjs';
+import { rehypeMathRefs } from './src/plugins/rehype-math-refs.mjs';
+import { shikiCodeMeta } from './src/plugins/shiki-code-meta.mjs';
+import { sitemapLastmod } from './src/plugins/git-history.mjs';
+import locales from './src/locales.json';
+
+const base = '/Confero';
+const contentDir = fileURLToPath(new URL('./src/content', import.meta.url));
+const defaultLocale = locales[0].id;
+// AMS numbering: numbered environments (equation, align, ...) get (1), (2), ...
+const mathOptions = { tex: { tags: 'ams' } };
 
 export default defineConfig({
   site: 'https://Awatansh.github.io/Confero',
-  base: '/Confero',
+  base,
+  markdown: {
+    shikiConfig: {
+      // Light colours inline, dark ones as --shiki-dark for html.dark (BlogPostLayout).
+      themes: { light: 'github-light', dark: 'github-dark' },
+      transformers: [shikiCodeMeta()],
+    },
+  },
   integrations: [
     mdx({
-      remarkPlugins: [remarkMath],
-      rehypePlugins: [rehypeMathjax],
+      remarkPlugins: [remarkMath, [remarkWikiLinks, { base, contentDir, defaultLocale }]],
+      rehypePlugins: [
+        // Ids first, so headings keep their anchors and TOC entries.
+        rehypeHeadingIds,
+        rehypeHeadingAnchors,
+        rehypeCollectMathSource,
+        [rehypeMathRefs, mathOptions],
+        [rehypeMathjax, mathOptions],
+        rehypeRestoreMathSource,
+      ],
     }),
-    sitemap()
+    sitemap({ serialize: sitemapLastmod({ contentDir, base, defaultLocale }) }),
   ],
   output: 'static',
   trailingSlash: 'ignore',
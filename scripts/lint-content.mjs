@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+// Checks every MDX post in src/content/* without building the site:
+//
+//   npm run lint:content            report problems as file:line
+//   npm run lint:content -- --fix   also apply the safe fixes
+//   npm run lint:content -- <file>  only lint the given files
+//
+// Rules: space (frontmatter disagrees with the folder), duplicate-slug (the
+// file name is also used in another space), duplicate-title (a "# H1"
+// repeating the title the layout renders), unknown-tag, broken-link, math
+// (unbalanced delimiters) and image-alt. Only space and duplicate-title can be
+// fixed automatically.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseFrontmatter } from '../src/plugins/frontmatter.mjs';
+import { WIKI_LINK, parseWikiLink } from '../src/plugins/remark-wiki-links.mjs';
+import { createTagNormalizer } from '../src/plugins/tag-aliases.mjs';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const POST_FILE = /\.mdx?$/;
+const FENCE = /^\s*(```|~~~)/;
+
+// Internal links may carry the site's base path, e.g. "/Confero/posts/x".
+const BASE =
+  fs
+    .readFileSync(path.join(ROOT, 'astro.config.mjs'), 'utf-8')
+    .match(/const base = '([^']*)'/)?.[1] || '';
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(ROOT, 'src', file), 'utf-8'));
+
+// Site-relative paths of the spaces, e.g. "ml/optimization".
+function spacePaths(spaces) {
+  const pathOf = (space) => {
+    const parent = spaces.find((s) => s.id === space.parent);
+    return parent ? `${pathOf(parent)}/${space.id}` : space.id;
+  };
+  return new Set(spaces.map(pathOf));
+}
+
+// Body lines with their line numbers, outside fenced code and with inline
+// code blanked out, so examples of broken syntax are not reported.
+function proseLines(source, start) {
+  const lines = source.split('\n');
+  const result = [];
+  let fence = null;
+
+  for (let i = start; i < lines.length; i++) {
+    const marker = lines[i].match(FENCE)?.[1];
+    if (marker && (!fence || fence === marker)) {
+      fence = fence ? null : marker;
+      continue;
+    }
+    if (fence) continue;
+    result.push({
+      line: i + 1,
+      text: lines[i].replace(/`[^`]*`/g, (code) => ' '.repeat(code.length)),
+    });
+  }
+
+  return result;
+}
+
+// Everything the rules check posts against, read once for all files.
+export function loadContext(contentDir = path.join(ROOT, 'src/content')) {
+  const spaces = readJson('spaces.json');
+  const tags = readJson('tags.json');
+  const locales = readJson('locales.json');
+  const posts = new Map();
+  const routes = new Set();
+  const usedTags = new Set();
+  const normalizeTag = createTagNormalizer(tags);
+
+  for (const space of fs.readdirSync(contentDir, { withFileTypes: true })) {
+    if (!space.isDirectory()) continue;
+
+    for (const name of fs.readdirSync(path.join(contentDir, space.name))) {
+      if (!POST_FILE.test(name)) continue;
+      const slug = name.replace(POST_FILE, '');
+      const file = path.join(contentDir, space.name, name);
+      const { data } = parseFrontmatter(fs.readFileSync(file, 'utf-8'));
+      const lang = data.lang || locales[0].id;
+
+      // Every post using the slug; more than one is a duplicate-slug problem.
+      posts.set(slug, [...(posts.get(slug) || []), { space: space.name }]);
+      routes.add(lang === locales[0].id ? slug : `${lang}/${data.translationOf || slug}`);
+      (Array.isArray(data.tags) ? data.tags : []).forEach((tag) => usedTags.add(normalizeTag(tag)));
+    }
+  }
+
+  return {
+    contentDir,
+    posts,
+    routes,
+    usedTags,
+    normalizeTag,
+    knownTags: new Set(tags.map((tag) => tag.id)),
+    spaceIds: new Set(spaces.map((space) => space.id)),
+    spacePaths: spacePaths(spaces),
+    locales: new Set(locales.map((locale) => locale.id)),
+  };
+}
+
+// "/Confero/posts/x#y" -> "posts/x"; undefined for links that are not internal.
+function internalPath(url) {
+  if (!url.startsWith('/') || url.startsWith('//')) return undefined;
+  const target = url.replace(/[?#].*$/, '');
+  const local =
+    BASE && (target === BASE || target.startsWith(`${BASE}/`)) ? target.slice(BASE.length) : target;
+  return local.replace(/^\/|\/$/g, '');
+}
+
+function checkInternalLink(url, context) {
+  const target = internalPath(url);
+  if (target === undefined) return undefined;
+
+  const [first, ...rest] = target.split('/');
+  const localized = context.locales.has(first) && rest[0] === 'posts';
+  const [section, ...parts] = localized ? rest : [first, ...rest];
+  const name = parts.join('/');
+
+  if (section === 'posts') {
+    const route = localized ? `${first}/${name}` : name;
+    return context.routes.has(route) ? undefined : `Link to ${url} does not match any post`;
+  }
+  if (section === 'spaces' && parts.length > 0) {
+    const space = name.replace(/\/(page|tags)\/.*$/, '');
+    return context.spacePaths.has(space) ? undefined : `Link to ${url} does not match any space`;
+  }
+  if (section === 'tags' && parts.length > 0) {
+    return context.usedTags.has(parts[0])
+      ? undefined
+      : `Link to ${url} does not match any tag page`;
+  }
+  return undefined;
+}
+
+// Problems in one post: { line, rule, message, fix? }. `file` is the path of
+// the post, used to find its folder and slug.
+export function lintPost(source, file, context) {
+  const problems = [];
+  const report = (line, rule, message, fix) => problems.push({ line, rule, message, fix });
+  const folder = path.basename(path.dirname(file));
+  const slug = path.basename(file).replace(POST_FILE, '');
+  const frontmatter = parseFrontmatter(source);
+  const { data, lines } = frontmatter;
+  const prose = proseLines(source, frontmatter.end);
+
+  // space
+  if (context.spaceIds.has(folder) && (data.space || 'blog') !== folder) {
+    report(
+      lines.space || 1,
+      'space',
+      data.space
+        ? `space "${data.space}" does not match the folder "${folder}"`
+        : `space is missing and defaults to "blog", but the post is in "${folder}"`,
+      { type: 'space', space: folder }
+    );
+  }
+
+  // duplicate-slug
+  const others = (context.posts.get(slug) || []).filter((post) => post.space !== folder);
+  if (others.length > 0) {
+    const spaces = others.map((post) => `"${post.space}"`).join(', ');
+    report(1, 'duplicate-slug', `Slug "${slug}" is also used in ${spaces}`);
+  }
+
+  // duplicate-title
+  const title = typeof data.title === 'string' ? data.title.trim().toLowerCase() : undefined;
+  const heading = prose.find(({ text }) => /^#\s/.test(text));
+  if (title && heading && heading.text.replace(/^#\s+/, '').trim().toLowerCase() === title) {
+    report(
+      heading.line,
+      'duplicate-title',
+      'H1 repeats the title, which the layout already shows',
+      {
+        type: 'remove-line',
+        line: heading.line,
+      }
+    );
+  }
+
+  // unknown-tag
+  (Array.isArray(data.tags) ? data.tags : []).forEach((tag) => {
+    if (!context.knownTags.has(context.normalizeTag(tag))) {
+      report(lines.tags, 'unknown-tag', `Tag "${tag}" is not in src/tags.json`);
+    }
+  });
+
+  prose.forEach(({ line, text }) => {
+    // broken-link
+    for (const match of text.matchAll(WIKI_LINK)) {
+      const link = parseWikiLink(match[1], match[2]);
+      const posts = context.posts.get(link.slug) || [];
+      const spaces = posts.map((post) => `"${post.space}"`).join(', ');
+      if (posts.length === 0) {
+        report(line, 'broken-link', `Wiki link "${match[0]}" does not match any post`);
+      } else if (link.space && !posts.some((post) => post.space === link.space)) {
+        report(
+          line,
+          'broken-link',
+          `Wiki link "${match[0]}" points to "${link.space}", but the post is in ${spaces}`
+        );
+      } else if (!link.space && posts.length > 1) {
+        report(
+          line,
+          'broken-link',
+          `Wiki link "${match[0]}" is ambiguous: the slug is in ${spaces}`
+        );
+      }
+    }
+    const urls = [
+      ...[...text.matchAll(/\]\(\s*<?([^)\s>]+)/g)].map((m) => m[1]),
+      ...[...text.matchAll(/\bhref=["']([^"']+)["']/g)].map((m) => m[1]),
+    ];
+    urls.forEach((url) => {
+      const error = checkInternalLink(url, context);
+      if (error) report(line, 'broken-link', error);
+    });
+
+    // image-alt
+    for (const match of text.matchAll(/!\[([^\]]*)\]\(/g)) {
+      if (!match[1].trim()) report(line, 'image-alt', 'Image has no alt text');
+    }
+    for (const match of text.matchAll(/<img\b[^>]*>/g)) {
+      if (!/\balt=(["'])\s*[^"'\s]/.test(match[0]))
+        report(line, 'image-alt', '<img> has no alt text');
+    }
+  });
+
+  // math: $$ blocks pair up across lines, $ pairs up within a line, and
+  // \begin{env} needs its \end{env}.
+  let display = null;
+  const environments = [];
+  prose.forEach(({ line, text }) => {
+    const unescaped = text.replace(/\\\$/g, '');
+    const blocks = unescaped.match(/\$\$/g)?.length || 0;
+    for (let i = 0; i < blocks; i++) display = display ? null : line;
+
+    const inline = unescaped.replace(/\$\$/g, '').match(/\$/g)?.length || 0;
+    if (inline % 2 === 1 && !display) report(line, 'math', 'Unclosed inline math: odd number of $');
+
+    for (const match of text.matchAll(/\\(begin|end)\{([^}]+)\}/g)) {
+      if (match[1] === 'begin') {
+        environments.push({ name: match[2], line });
+      } else if (environments.at(-1)?.name === match[2]) {
+        environments.pop();
+      } else {
+        report(line, 'math', `\\end{${match[2]}} has no matching \\begin`);
+      }
+    }
+  });
+  if (display) report(display, 'math', 'Unclosed display math: $$ is never closed');
+  environments.forEach(({ name, line }) =>
+    report(line, 'math', `\\begin{${name}} is never closed`)
+  );
+
+  return problems.sort((a, b) => a.line - b.line);
+}
+
+// Applies the fixes of `problems` to `source`.
+export function fixPost(source, problems) {
+  const lines = source.split('\n');
+  // Index of the closing "---", or -1 without frontmatter.
+  const close = parseFrontmatter(source).end - 1;
+  // Added lines keep the file's line endings.
+  const eol = lines[0].endsWith('\r') ? '\r' : '';
+  const fixes = problems.map((problem) => problem.fix).filter(Boolean);
+  const removed = new Set(fixes.filter((fix) => fix.type === 'remove-line').map((fix) => fix.line));
+
+  fixes
+    .filter((fix) => fix.type === 'space' && close > 0)
+    .forEach((fix) => {
+      const index = lines.findIndex((line, i) => i > 0 && i < close && /^space:/.test(line));
+      if (index !== -1) {
+        lines[index] = `space: "${fix.space}"${eol}`;
+      } else {
+        lines.splice(close, 0, `space: "${fix.space}"${eol}`);
+        // Lines after the frontmatter moved down by one.
+        const shifted = [...removed].map((line) => line + 1);
+        removed.clear();
+        shifted.forEach((line) => removed.add(line));
+      }
+    });
+
+  // A removed heading takes the blank line after it along.
+  [...removed]
+    .sort((a, b) => b - a)
+    .forEach((line) => lines.splice(line - 1, lines[line]?.trim() === '' ? 2 : 1));
+
+  return lines.join('\n');
+}
+
+export function postFiles(contentDir) {
+  return fs
+    .readdirSync(contentDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .flatMap((entry) =>
+      fs
+        .readdirSync(path.join(contentDir, entry.name))
+        .filter((name) => POST_FILE.test(name))
+        .map((name) => path.join(contentDir, entry.name, name))
+    );
+}
+
+function main(args) {
+  const fix = args.includes('--fix');
+  const context = loadContext();
+  const requested = args.filter((arg) => !arg.startsWith('--')).map((file) => path.resolve(file));
+  const files = requested.length > 0 ? requested : postFiles(context.contentDir);
+  let errors = 0;
+  let fixed = 0;
+
+  for (const file of files) {
+    let source = fs.readFileSync(file, 'utf-8');
+    let problems = lintPost(source, file, context);
+
+    if (fix && problems.some((problem) => problem.fix)) {
+      fixed += problems.filter((problem) => problem.fix).length;
+      source = fixPost(source, problems);
+      fs.writeFileSync(file, source);
+      problems = lintPost(source, file, context);
+    }
+
+    const relative = path.relative(process.cwd(), file);
+    problems.forEach(({ line, rule, message, fix: fixable }) => {
+      const hint = fixable ? ' (fixable with --fix)' : '';
+      console.error(`${relative}:${line}  ${message}${hint}  [${rule}]`);
+    });
+    errors += problems.length;
+  }
+
+  if (fixed > 0) console.log(`Fixed ${fixed} ${fixed === 1 ? 'problem' : 'problems'}.`);
+  if (errors > 0) {
+    console.error(`\n${errors} ${errors === 1 ? 'problem' : 'problems'} in ${files.length} posts.`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${files.length} posts checked, no problems found.`);
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2));
+}
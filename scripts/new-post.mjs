@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+// Scaffolds a new post:
+//
+//   npm run new
+//   npm run new -- --space ml --title "My Post" --description "..." --tags ml,math
+//
+// Prompts for whatever wasn't passed as a flag, then writes
+// src/content/<space>/<slug>.mdx from the space's template in
+// scripts/templates (sub-spaces use their parent's, then default.mdx).
+// Refuses to overwrite or reuse a slug taken in any space.
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseFrontmatter } from '../src/plugins/frontmatter.mjs';
+import { createTagNormalizer } from '../src/plugins/tag-aliases.mjs';
+import { postFiles } from './lint-content.mjs';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CONTENT_DIR = path.join(ROOT, 'src/content');
+const TEMPLATE_DIR = path.join(ROOT, 'scripts/templates');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(ROOT, 'src', file), 'utf-8'));
+
+// "Attention Is All You Need!" -> "attention-is-all-you-need"
+export function slugify(title) {
+  return title
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+// The post already using `slug`, in any space.
+export function findPost(slug, contentDir = CONTENT_DIR) {
+  return postFiles(contentDir).find((file) => path.basename(file).replace(/\.mdx?$/, '') === slug);
+}
+
+const tags = readJson('tags.json');
+
+// Lowercased, with aliases from tags.json replaced by their tag.
+export const normalizeTag = createTagNormalizer(tags);
+
+// Tags in use, most used first, followed by the unused ones from tags.json.
+export function getTagVocabulary(contentDir = CONTENT_DIR) {
+  const counts = new Map(tags.map((tag) => [tag.id, 0]));
+
+  postFiles(contentDir).forEach((file) => {
+    const { data } = parseFrontmatter(fs.readFileSync(file, 'utf-8'));
+    (Array.isArray(data.tags) ? data.tags : []).map(normalizeTag).forEach((tag) => {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    });
+  });
+
+  return [...counts]
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .map(([tag]) => tag);
+}
+
+// Body template of a space: its own, its nearest ancestor's, or the default.
+export function getTemplate(spaceId, spaces = readJson('spaces.json')) {
+  for (let space = spaces.find((s) => s.id === spaceId); space; ) {
+    const file = path.join(TEMPLATE_DIR, `${space.id}.mdx`);
+    if (fs.existsSync(file)) return fs.readFileSync(file, 'utf-8');
+    space = spaces.find((s) => s.id === space.parent);
+  }
+  return fs.readFileSync(path.join(TEMPLATE_DIR, 'default.mdx'), 'utf-8');
+}
+
+export function renderPost({ title, description, date, tags, space }, template) {
+  const quote = (value) => JSON.stringify(value);
+
+  return [
+    '---',
+    `title: ${quote(title)}`,
+    `description: ${quote(description)}`,
+    `date: ${quote(date)}`,
+    `tags: [${tags.map(quote).join(', ')}]`,
+    `space: ${quote(space)}`,
+    // New posts stay out of the build until this line is removed.
+    'draft: true',
+    '---',
+    '',
+    template,
+  ].join('\n');
+}
+
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const flag = args[i].match(/^--(space|title|description|tags)$/)?.[1];
+    if (flag) options[flag] = args[++i];
+  }
+  return options;
+}
+
+// Reads answers line by line. Unlike rl.question(), lines that arrive before
+// the question is asked (piped input) are not lost.
+function prompter(rl) {
+  const lines = rl[Symbol.asyncIterator]();
+
+  return async (question, validate = () => '') => {
+    for (;;) {
+      rl.setPrompt(question);
+      rl.prompt();
+      const { value, done } = await lines.next();
+      if (done) throw new Error('Input ended before the post was complete.');
+
+      const answer = value.trim();
+      const error = validate(answer);
+      if (!error) return answer;
+      console.log(`  ${error}`);
+    }
+  };
+}
+
+async function main(args) {
+  const options = parseArgs(args);
+  const spaces = readJson('spaces.json');
+  const vocabulary = getTagVocabulary();
+  // Tab completes the tag being typed from the existing vocabulary.
+  const completer = (line) => {
+    const current = line.split(',').pop().trim();
+    const hits = vocabulary.filter((tag) => tag.startsWith(current));
+    return [hits.length ? hits : vocabulary, current];
+  };
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, completer });
+  const ask = prompter(rl);
+
+  try {
+    let space = options.space;
+    if (!space) {
+      console.log('Spaces:');
+      spaces.forEach((s, i) =>
+        console.log(`  ${i + 1}) ${s.parent ? '  ' : ''}${s.id} – ${s.title}`)
+      );
+    }
+    while (!spaces.some((s) => s.id === space)) {
+      if (space) console.log(`  Unknown space "${space}".`);
+      const answer = await ask('Space (number or id): ');
+      space = spaces[Number(answer) - 1]?.id ?? answer;
+    }
+
+    const noSlug = 'The title needs Latin letters or digits to make a slug from.';
+    const title =
+      options.title ?? (await ask('Title: ', (answer) => (slugify(answer) ? '' : noSlug)));
+    const slug = slugify(title);
+    if (!slug) throw new Error(`${noSlug} Got "${title}".`);
+    const existing = findPost(slug);
+    if (existing) {
+      throw new Error(`The slug "${slug}" is already used by ${path.relative(ROOT, existing)}`);
+    }
+
+    const description =
+      options.description ??
+      (await ask('Description: ', (answer) => (answer ? '' : 'Please add a description.')));
+
+    if (options.tags === undefined) {
+      console.log(`Existing tags (Tab completes): ${vocabulary.slice(0, 15).join(', ')}, …`);
+    }
+    const tags = [
+      ...new Set(
+        (options.tags ?? (await ask('Tags (comma-separated): ')))
+          .split(',')
+          .filter((tag) => tag.trim())
+          .map(normalizeTag)
+      ),
+    ];
+    const unknown = tags.filter((tag) => !vocabulary.includes(tag));
+    if (unknown.length > 0) {
+      console.log(`New tags: ${unknown.join(', ')}. Describe them in src/tags.json.`);
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    const file = path.join(CONTENT_DIR, space, `${slug}.mdx`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(
+      file,
+      renderPost({ title, description, date, tags, space }, getTemplate(space, spaces)),
+      {
+        flag: 'wx',
+      }
+    );
+
+    console.log(`Created ${path.relative(ROOT, file)}. Remove "draft: true" to publish it.`);
+  } finally {
+    rl.close();
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -1,20 +1,78 @@
 import { z, defineCollection } from 'astro:content';
+import { fileURLToPath } from 'url';
+import { spaceIds, assertSpaceRegistry } from '../utils/spaces';
+import { assertTagRegistry, normalizeTags } from '../utils/tags';
+import { assertAuthorRegistry, isAuthorId, DEFAULT_AUTHOR_ID } from '../utils/authors';
+import { assertLocaleRegistry, isLocale, DEFAULT_LOCALE } from '../utils/i18n';
+
+// Fail the build when spaces.json and the folders under src/content disagree.
+assertSpaceRegistry(fileURLToPath(new URL('.', import.meta.url)));
+// Likewise when tags.json, authors.json or locales.json is inconsistent.
+assertTagRegistry();
+assertAuthorRegistry();
+assertLocaleRegistry();
 
 const blogCollection = defineCollection({
   type: 'content',
   schema: z.object({
     title: z.string(),
     description: z.string(),
-    date: z.string().transform(str => new Date(str)),
-    tags: z.array(z.string()).default([]),
+    date: z.string().transform((str) => new Date(str)),
+    // Last meaningful revision. Without it, the date of the file's last
+    // commit is used (see src/utils/revisions.ts).
+    updated: z
+      .string()
+      .transform((str) => new Date(str))
+      .optional(),
+    // Aliases from tags.json are rewritten to their canonical tag.
+    tags: z.array(z.string()).default([]).transform(normalizeTags),
     space: z.string().default('blog'),
+    // Ids from src/authors.json.
+    authors: z
+      .array(z.string())
+      .nonempty()
+      .default([DEFAULT_AUTHOR_ID])
+      .superRefine((ids, ctx) => {
+        ids
+          .filter((id) => !isAuthorId(id))
+          .forEach((id) =>
+            ctx.addIssue({
+              code: z.ZodIssueCode.custom,
+              message: `Unknown author "${id}", add it to src/authors.json`,
+            })
+          );
+      }),
+    // Language of the post, an id from src/locales.json.
+    lang: z
+      .string()
+      .default(DEFAULT_LOCALE)
+      .refine(isLocale, (id) => ({
+        message: `Unknown language "${id}", add it to src/locales.json`,
+      })),
+    // Slug of the post this one translates. Translations are served at
+    // /<lang>/posts/<that slug> and linked to each other.
+    translationOf: z.string().optional(),
+    // Multi-part series: parts share a series name and are read in seriesOrder.
+    series: z.string().optional(),
+    seriesOrder: z.number().int().positive().optional(),
+    // Table of contents: false hides it, a number sets the deepest heading level listed.
+    toc: z.union([z.boolean(), z.number().int().min(2).max(6)]).optional(),
+    // Load MathJax in the browser too; math in the MDX itself never needs it.
+    clientMath: z.boolean().default(false),
+    // Social preview image (site-relative path or full URL) used instead of the
+    // generated card.
+    image: z.string().optional(),
+    // Publication state, see src/utils/publishing.ts.
+    draft: z.boolean().default(false),
+    publishDate: z
+      .string()
+      .transform((str) => new Date(str))
+      .optional(),
+    expires: z
+      .string()
+      .transform((str) => new Date(str))
+      .optional(),
   }),
 });
 
-export const collections = {
-  blog: blogCollection,
-  ml: blogCollection,
-  transformers: blogCollection,
-  web: blogCollection,
-  notes: blogCollection,
-};
+export const collections = Object.fromEntries(spaceIds.map((id) => [id, blogCollection]));
@@ -0,0 +1,10 @@
+import { getLocaleFeed, atomResponse } from '../../utils/feeds';
+import { prefixedLocaleIds } from '../../utils/i18n';
+
+export function getStaticPaths() {
+  return prefixedLocaleIds.map((locale) => ({ params: { locale } }));
+}
+
+export async function GET(context) {
+  return atomResponse(await getLocaleFeed(context.params.locale), context.site);
+}
@@ -0,0 +1,20 @@
+import { getAllPosts } from '../../../../utils/contentHelpers';
+import { getTranslationKey, prefixedLocaleIds } from '../../../../utils/i18n';
+import { getPostCard, socialImageResponse } from '../../../../utils/socialImage';
+
+// Posts with an `image` in their frontmatter use that instead.
+export async function getStaticPaths() {
+  const paths = await Promise.all(
+    prefixedLocaleIds.map(async (locale) =>
+      (await getAllPosts(locale))
+        .filter((post) => !post.data.image)
+        .map((post) => ({ params: { locale, slug: getTranslationKey(post) }, props: { post } }))
+    )
+  );
+
+  return paths.flat();
+}
+
+export function GET({ props }) {
+  return socialImageResponse(getPostCard(props.post));
+}
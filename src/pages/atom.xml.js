@@ -0,0 +1,5 @@
+import { getGlobalFeed, atomResponse } from '../utils/feeds';
+
+export async function GET(context) {
+  return atomResponse(await getGlobalFeed(), context.site);
+}
@@ -0,0 +1,5 @@
+import { getGlobalFeed, jsonFeedResponse } from '../utils/feeds';
+
+export async function GET(context) {
+  return jsonFeedResponse(await getGlobalFeed(), context.site);
+}
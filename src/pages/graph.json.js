@@ -0,0 +1,10 @@
+import { getKnowledgeGraph } from '../utils/contentHelpers';
+import { layoutGraph } from '../utils/graph';
+
+export async function GET() {
+  const graph = layoutGraph(await getKnowledgeGraph());
+
+  return new Response(JSON.stringify(graph), {
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
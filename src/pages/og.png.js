@@ -0,0 +1,5 @@
+import { getSiteCard, socialImageResponse } from '../utils/socialImage';
+
+export function GET() {
+  return socialImageResponse(getSiteCard());
+}
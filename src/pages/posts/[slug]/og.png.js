@@ -0,0 +1,15 @@
+import { getAllPosts } from '../../../utils/contentHelpers';
+import { getPostCard, socialImageResponse } from '../../../utils/socialImage';
+
+// Posts with an `image` in their frontmatter use that instead.
+export async function getStaticPaths() {
+  const posts = await getAllPosts();
+
+  return posts
+    .filter((post) => !post.data.image)
+    .map((post) => ({ params: { slug: post.slug }, props: { post } }));
+}
+
+export function GET({ props }) {
+  return socialImageResponse(getPostCard(props.post));
+}
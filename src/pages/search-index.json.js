@@ -0,0 +1,9 @@
+import { getSearchDocuments } from '../utils/contentHelpers';
+
+export async function GET() {
+  const docs = await getSearchDocuments();
+
+  return new Response(JSON.stringify({ docs }), {
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
@@ -0,0 +1,10 @@
+import { getSpaceFeed, atomResponse } from '../../../utils/feeds';
+import { getSpaceStaticPaths } from '../../../utils/spaces';
+
+export function getStaticPaths() {
+  return getSpaceStaticPaths();
+}
+
+export async function GET(context) {
+  return atomResponse(await getSpaceFeed(context.props.spaceData.id), context.site);
+}
@@ -0,0 +1,10 @@
+import { getSpaceStaticPaths } from '../../../utils/spaces';
+import { getSpaceCard, socialImageResponse } from '../../../utils/socialImage';
+
+export function getStaticPaths() {
+  return getSpaceStaticPaths();
+}
+
+export function GET({ props }) {
+  return socialImageResponse(getSpaceCard(props.spaceData.id));
+}
@@ -0,0 +1,11 @@
+import { getTagFeed, atomResponse } from '../../../utils/feeds';
+import { getAllTags } from '../../../utils/contentHelpers';
+
+export async function getStaticPaths() {
+  const allTags = await getAllTags();
+  return allTags.map((tag) => ({ params: { tag } }));
+}
+
+export async function GET(context) {
+  return atomResponse(await getTagFeed(context.params.tag), context.site);
+}
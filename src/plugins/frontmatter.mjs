@@ -0,0 +1,59 @@
+// Frontmatter for build plugins and scripts, which run before content
+// collections are loaded. Only top-level fields are read.
+
+// Reads `key: value` lines, inline arrays and "- item" lists, keeping the
+// line number (1-based, within the file) of every key. `end` is the line
+// after the closing "---", or 0 without frontmatter.
+export function parseFrontmatter(source) {
+  const lines = source.split(/\r?\n/);
+  if (lines[0].trim() !== '---') return { data: {}, lines: {}, end: 0 };
+
+  const data = {};
+  const keyLines = {};
+  const unquote = (value) => value.trim().replace(/^(["'])(.*)\1$/, '$2');
+  let key;
+
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim() === '---') return { data, lines: keyLines, end: i + 1 };
+
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && Array.isArray(data[key])) {
+      data[key].push(unquote(item[1]));
+      continue;
+    }
+
+    const entry = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (!entry) continue;
+    key = entry[1];
+    keyLines[key] = i + 1;
+
+    const value = entry[2].replace(/\s+#.*$/, '').trim();
+    if (value.startsWith('[')) {
+      data[key] = value
+        .replace(/^\[|\]$/g, '')
+        .split(',')
+        .map(unquote)
+        .filter(Boolean);
+    } else {
+      data[key] = value === '' ? [] : unquote(value);
+    }
+  }
+
+  return { data: {}, lines: {}, end: 0 };
+}
+
+// Mirrors getPublicationStatus() in src/utils/publishing.ts.
+export function isPublishedFrontmatter(fields, now = new Date()) {
+  if (fields.draft === 'true') return false;
+  if (new Date(fields.publishDate || fields.date) > now) return false;
+  return !(fields.expires && new Date(fields.expires) <= now);
+}
+
+// Site-relative URL path of a post. Mirrors getPostPath() in src/utils/i18n.ts.
+export function getPostPathFromFrontmatter(slug, fields, defaultLocale) {
+  const lang = fields.lang || defaultLocale;
+  return lang === defaultLocale
+    ? `/posts/${slug}`
+    : `/${lang}/posts/${fields.translationOf || slug}`;
+}
@@ -0,0 +1,92 @@
+// Revision history of posts, read from git at build time, and the <lastmod>
+// of post pages in the sitemap. Without a git checkout (or with a shallow
+// one) there is simply less history, and dates fall back to the frontmatter.
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { getPostPathFromFrontmatter, parseFrontmatter } from './frontmatter.mjs';
+
+const POST_FILE = /\.mdx?$/;
+const FIELD_SEPARATOR = '\x1f';
+
+const histories = new Map();
+
+// Commits that touched `file`, newest first, as { hash, date, message }.
+export function getGitHistory(file) {
+  if (!histories.has(file)) histories.set(file, readGitLog(file));
+  return histories.get(file);
+}
+
+function readGitLog(file) {
+  let log;
+  try {
+    log = execFileSync(
+      'git',
+      [
+        'log',
+        '--follow',
+        `--format=%H${FIELD_SEPARATOR}%cI${FIELD_SEPARATOR}%s`,
+        '--',
+        path.basename(file),
+      ],
+      { cwd: path.dirname(file), encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }
+    );
+  } catch {
+    return [];
+  }
+
+  return log
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      const [hash, date, message] = line.split(FIELD_SEPARATOR);
+      return { hash, date: new Date(date), message };
+    });
+}
+
+// The `updated` frontmatter date, else the last commit, but never earlier
+// than the publication `date`. The commit that added the file is not an
+// update, so a file with a single commit keeps its `date`.
+export function getLastModified({ date, updated }, history) {
+  const modified = updated ?? (history.length > 1 ? history[0].date : undefined);
+  return modified && modified > date ? modified : date;
+}
+
+// Site-relative path of every post -> its last-modified date.
+function indexLastModified(contentDir, defaultLocale) {
+  const dates = new Map();
+
+  for (const space of fs.readdirSync(contentDir, { withFileTypes: true })) {
+    if (!space.isDirectory()) continue;
+
+    for (const name of fs.readdirSync(path.join(contentDir, space.name))) {
+      if (!POST_FILE.test(name)) continue;
+      const file = path.join(contentDir, space.name, name);
+      const fields = parseFrontmatter(fs.readFileSync(file, 'utf-8')).data;
+      if (!fields.date) continue;
+
+      const date = new Date(fields.date);
+      const updated = fields.updated ? new Date(fields.updated) : undefined;
+      dates.set(
+        getPostPathFromFrontmatter(name.replace(POST_FILE, ''), fields, defaultLocale),
+        getLastModified({ date, updated }, getGitHistory(file))
+      );
+    }
+  }
+
+  return dates;
+}
+
+// `serialize` option of @astrojs/sitemap that adds <lastmod> to post pages.
+export function sitemapLastmod({ contentDir, base = '', defaultLocale = 'en' }) {
+  let dates;
+
+  return (item) => {
+    dates ??= indexLastModified(contentDir, defaultLocale);
+    const pathname = new URL(item.url).pathname.replace(/\/$/, '');
+    const date = dates.get(pathname.startsWith(base) ? pathname.slice(base.length) : pathname);
+
+    return date ? { ...item, lastmod: date.toISOString() } : item;
+  };
+}
@@ -0,0 +1,34 @@
+// Appends a self-link to every h2-h6 that has an id, so readers can copy a
+// link to any section. Run it after rehypeHeadingIds. The link has no text
+// of its own (the "#" comes from CSS) so heading text, and with it the
+// table of contents, stays unchanged.
+
+const HEADINGS = ['h2', 'h3', 'h4', 'h5', 'h6'];
+
+function walk(node, visit) {
+  visit(node);
+  (node.children || []).forEach((child) => walk(child, visit));
+}
+
+export function rehypeHeadingAnchors() {
+  return (tree) => {
+    walk(tree, (node) => {
+      if (node.type !== 'element' || !HEADINGS.includes(node.tagName)) return;
+
+      const id = node.properties?.id;
+      if (typeof id !== 'string' || !id) return;
+
+      node.children.push({
+        type: 'element',
+        tagName: 'a',
+        properties: {
+          className: ['heading-anchor'],
+          href: `#${id}`,
+          ariaLabel: 'Copy link to this section',
+          title: 'Copy link to this section',
+        },
+        children: [],
+      });
+    });
+  };
+}
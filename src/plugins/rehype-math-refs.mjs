@@ -0,0 +1,98 @@
+// Equation numbers and cross-references for build-time math. rehype-mathjax
+// renders each expression once, in order, so an \eqref to an equation further
+// down the post would come out as "(???)". This plugin runs before it: it
+// compiles the post's math once to learn every \label's number, then rewrites
+// each \ref / \eqref into a link with that number filled in. A reference to
+// a label that does not exist fails the build.
+//
+// Display math with a \label but no environment is wrapped in an equation
+// environment, so `$$ x = y \label{eq:xy} $$` gets a number as expected.
+
+import { mathjax } from 'mathjax-full/js/mathjax.js';
+import { TeX } from 'mathjax-full/js/input/tex.js';
+import { AllPackages } from 'mathjax-full/js/input/tex/AllPackages.js';
+import { SVG } from 'mathjax-full/js/output/svg.js';
+import { liteAdaptor } from 'mathjax-full/js/adaptors/liteAdaptor.js';
+import { RegisterHTMLHandler } from 'mathjax-full/js/handlers/html.js';
+import { STATE } from 'mathjax-full/js/core/MathItem.js';
+
+const REF = /\\(eq)?ref\s*\{([^}]*)\}/g;
+
+function walk(node, visit, parent) {
+  visit(node, parent);
+  (node.children || []).forEach((child) => walk(child, visit, node));
+}
+
+function textOf(node) {
+  if (node.type === 'text') return node.value;
+  return (node.children || []).map(textOf).join('');
+}
+
+function hasClass(node, name) {
+  const classes = node.properties?.className;
+  return Array.isArray(classes) && classes.includes(name);
+}
+
+// The same math nodes rehype-mathjax renders, in document order.
+function findMath(tree) {
+  const math = [];
+
+  walk(tree, (node, parent) => {
+    if (node.type !== 'element') return;
+    const display =
+      hasClass(node, 'math-display') ||
+      (hasClass(node, 'language-math') && parent?.tagName === 'pre');
+    if (display || hasClass(node, 'math-inline')) {
+      math.push({ node, display, tex: textOf(node) });
+    }
+  });
+
+  return math;
+}
+
+// label -> { tag, id }, numbered exactly as rehype-mathjax will number them.
+function collectLabels(math, texOptions) {
+  const handler = RegisterHTMLHandler(liteAdaptor());
+  const tex = new TeX({ packages: AllPackages, ...texOptions });
+  const document = mathjax.document('', { InputJax: tex, OutputJax: new SVG() });
+
+  try {
+    for (const { tex: source, display } of math) {
+      try {
+        document.convert(source, { display, end: STATE.COMPILED });
+      } catch {
+        // rehype-mathjax reports broken expressions when it renders them.
+      }
+    }
+    return tex.parseOptions.tags.allLabels;
+  } finally {
+    mathjax.handlers.unregister(handler);
+  }
+}
+
+export function rehypeMathRefs(options = {}) {
+  return (tree, file) => {
+    const math = findMath(tree);
+    if (!math.length) return;
+
+    for (const item of math) {
+      if (item.display && /\\label\s*\{/.test(item.tex) && !/\\begin\s*\{/.test(item.tex)) {
+        item.tex = `\\begin{equation}${item.tex}\\end{equation}`;
+      }
+    }
+
+    const labels = collectLabels(math, options.tex);
+
+    for (const item of math) {
+      const tex = item.tex.replace(REF, (_, eq, name) => {
+        const label = labels[name.trim()];
+        if (!label) {
+          file.fail(`Equation reference to undefined label "${name.trim()}"`, item.node);
+        }
+        const number = eq ? `(${label.tag})` : label.tag;
+        return `\\href{#${label.id}}{\\text{${number}}}`;
+      });
+      item.node.children = [{ type: 'text', value: tex }];
+    }
+  };
+}
@@ -0,0 +1,57 @@
+// rehype-mathjax replaces every math node with rendered SVG and drops the TeX
+// it came from. These two plugins run on either side of it: the first records
+// the TeX of each math node in document order, the second copies it back onto
+// the rendered output as `data-tex` and an accessible label. Feeds use it as a
+// text fallback for readers that can't show the SVG.
+
+const MATH_CLASSES = ['language-math', 'math-display', 'math-inline'];
+
+function walk(node, visit) {
+  visit(node);
+  (node.children || []).forEach((child) => walk(child, visit));
+}
+
+function textOf(node) {
+  if (node.type === 'text') return node.value;
+  return (node.children || []).map(textOf).join('');
+}
+
+function hasClass(node, names) {
+  const classes = node.properties?.className;
+  return Array.isArray(classes) && classes.some((name) => names.includes(name));
+}
+
+export function rehypeCollectMathSource() {
+  return (tree, file) => {
+    const sources = [];
+
+    walk(tree, (node) => {
+      if (node.type === 'element' && hasClass(node, MATH_CLASSES)) {
+        sources.push(textOf(node).trim());
+      }
+    });
+
+    file.data.mathSources = sources;
+  };
+}
+
+export function rehypeRestoreMathSource() {
+  return (tree, file) => {
+    const sources = file.data.mathSources || [];
+    let index = 0;
+
+    walk(tree, (node) => {
+      if (node.type !== 'element') return;
+
+      // Failed expressions are rendered as span.mathjax-error; count them so
+      // later expressions stay aligned with their source.
+      if (node.tagName === 'mjx-container' || hasClass(node, ['mathjax-error'])) {
+        const tex = sources[index++];
+        if (tex && node.tagName === 'mjx-container') {
+          node.properties['data-tex'] = tex;
+          node.properties['aria-label'] = tex;
+        }
+      }
+    });
+  };
+}
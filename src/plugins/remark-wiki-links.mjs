@@ -0,0 +1,136 @@
+// Resolves [[slug]] and [[space/slug|label]] links between posts at build
+// time. Targets are looked up in the content folders, so a link to a post
+// that does not exist, is not in the named space, shares its slug with a post
+// in another space, or is not published fails the build instead of shipping
+// a 404. Without a label the link text is the target's title.
+
+import fs from 'fs';
+import path from 'path';
+import {
+  getPostPathFromFrontmatter,
+  isPublishedFrontmatter,
+  parseFrontmatter,
+} from './frontmatter.mjs';
+
+export const WIKI_LINK = /\[\[([^[\]|]+?)(?:\|([^[\]]+?))?\]\]/g;
+
+const POST_FILE = /\.mdx?$/;
+
+// "space/slug|label" -> { space, slug, label }; space and label are optional.
+export function parseWikiLink(target, label) {
+  const trimmed = target.trim();
+  const slash = trimmed.indexOf('/');
+
+  return {
+    space: slash === -1 ? undefined : trimmed.slice(0, slash).trim(),
+    slug: trimmed.slice(slash + 1).trim(),
+    label: label?.trim() || undefined,
+  };
+}
+
+// Every post in the content directory, keyed by slug. A slug used in more
+// than one space has several entries.
+function indexPosts(contentDir) {
+  const posts = new Map();
+
+  for (const space of fs.readdirSync(contentDir, { withFileTypes: true })) {
+    if (!space.isDirectory()) continue;
+
+    for (const name of fs.readdirSync(path.join(contentDir, space.name))) {
+      if (!POST_FILE.test(name)) continue;
+      const slug = name.replace(POST_FILE, '');
+      const fields = parseFrontmatter(
+        fs.readFileSync(path.join(contentDir, space.name, name), 'utf-8')
+      ).data;
+      posts.set(slug, [...(posts.get(slug) || []), { space: space.name, fields }]);
+    }
+  }
+
+  return posts;
+}
+
+// Unpublished posts may link to each other, and `astro dev` shows every post.
+function checksPublication(file) {
+  if (process.env.NODE_ENV === 'development') return false;
+  return (
+    !file.path || isPublishedFrontmatter(parseFrontmatter(fs.readFileSync(file.path, 'utf-8')).data)
+  );
+}
+
+function walk(node, visit) {
+  if (!node.children) return;
+
+  for (let i = 0; i < node.children.length; i++) {
+    const replacement = visit(node.children[i]);
+    if (replacement) {
+      node.children.splice(i, 1, ...replacement);
+      i += replacement.length - 1;
+    } else {
+      walk(node.children[i], visit);
+    }
+  }
+}
+
+export function remarkWikiLinks({ base = '', contentDir, defaultLocale = 'en' } = {}) {
+  const prefix = base.replace(/\/$/, '');
+  // Read once per build rather than once per post.
+  const posts = indexPosts(contentDir);
+
+  return (tree, file) => {
+    const published = checksPublication(file);
+
+    walk(tree, (node) => {
+      if (node.type !== 'text' || !node.value.includes('[[')) return;
+
+      // Unclosed, or split by formatting: labels must be plain text.
+      const leftover = node.value.replace(WIKI_LINK, '');
+      if (leftover.includes('[[')) {
+        file.fail(`Malformed wiki link near "${leftover.slice(leftover.indexOf('[['))}"`, node);
+      }
+
+      const nodes = [];
+      let last = 0;
+
+      for (const match of node.value.matchAll(WIKI_LINK)) {
+        const link = parseWikiLink(match[1], match[2]);
+        const candidates = posts.get(link.slug) || [];
+        const [post] = candidates;
+
+        if (!post) {
+          file.fail(`Wiki link "${match[0]}" does not match any post`, node);
+        }
+        if (candidates.length > 1) {
+          file.fail(
+            `Wiki link "${match[0]}" is ambiguous: "${link.slug}" exists in spaces ${candidates
+              .map((c) => `"${c.space}"`)
+              .join(', ')}. Post slugs must be unique.`,
+            node
+          );
+        }
+        if (link.space && link.space !== post.space) {
+          file.fail(
+            `Wiki link "${match[0]}" points to space "${link.space}", but "${link.slug}" is in "${post.space}"`,
+            node
+          );
+        }
+        if (published && !isPublishedFrontmatter(post.fields)) {
+          file.fail(`Wiki link "${match[0]}" points to a post that is not published`, node);
+        }
+
+        if (match.index > last) {
+          nodes.push({ type: 'text', value: node.value.slice(last, match.index) });
+        }
+        nodes.push({
+          type: 'link',
+          url: `${prefix}${getPostPathFromFrontmatter(link.slug, post.fields, defaultLocale)}`,
+          data: { hProperties: { className: ['wiki-link'] } },
+          children: [{ type: 'text', value: link.label || post.fields.title || link.slug }],
+        });
+        last = match.index + match[0].length;
+      }
+
+      if (last < node.value.length) nodes.push({ type: 'text', value: node.value.slice(last) });
+      return nodes;
+    });
+  };
+}
@@ -0,0 +1,90 @@
+// Shiki transformer for fenced-code meta, e.g.
+//
+//   ```js title="src/app.js" {2,4-5} ins={7} del={6} showLineNumbers
+//
+// title= names the file, {...} highlights lines, ins= / del= mark lines as
+// added or removed, and showLineNumbers numbers every line. Each block is
+// wrapped in a figure with the title and a copy button; the button stays
+// hidden until BlogPostLayout's script wires it up.
+
+const RANGES = '\\{([\\d,\\s-]*)\\}';
+
+// "1, 3-5" -> Set {1, 3, 4, 5}
+export function parseLineRanges(ranges = '') {
+  const lines = new Set();
+
+  for (const part of ranges.split(',')) {
+    const [start, end = start] = part.split('-').map((n) => parseInt(n, 10));
+    if (Number.isNaN(start) || Number.isNaN(end)) continue;
+    for (let line = start; line <= end; line++) lines.add(line);
+  }
+
+  return lines;
+}
+
+export function parseCodeMeta(raw = '') {
+  const title = raw.match(/\btitle=(["'])(.*?)\1/);
+  // Drop the title first so braces inside it aren't read as line ranges.
+  const rest = title ? raw.replace(title[0], '') : raw;
+
+  return {
+    title: title?.[2],
+    highlight: parseLineRanges(rest.match(new RegExp(`(?:^|\\s)${RANGES}`))?.[1]),
+    ins: parseLineRanges(rest.match(new RegExp(`\\bins=${RANGES}`))?.[1]),
+    del: parseLineRanges(rest.match(new RegExp(`\\bdel=${RANGES}`))?.[1]),
+    lineNumbers: /\bshowLineNumbers\b/.test(rest),
+  };
+}
+
+const element = (tagName, properties, children = []) => ({
+  type: 'element',
+  tagName,
+  properties,
+  children,
+});
+
+export function shikiCodeMeta() {
+  return {
+    name: 'confero:code-meta',
+    pre(node) {
+      const meta = parseCodeMeta(this.options.meta?.__raw);
+      if (meta.lineNumbers) this.addClassToHast(node, 'line-numbers');
+    },
+    line(node, line) {
+      const meta = parseCodeMeta(this.options.meta?.__raw);
+      const diff = meta.ins.has(line) ? 'add' : meta.del.has(line) ? 'remove' : null;
+
+      if (meta.highlight.has(line)) this.addClassToHast(node, 'highlighted');
+      if (diff) {
+        this.addClassToHast(node, ['diff', diff]);
+        node.children.unshift(
+          element('span', { className: ['diff-marker'] }, [
+            { type: 'text', value: diff === 'add' ? '+' : '-' },
+          ])
+        );
+      }
+    },
+    root(root) {
+      // Inline code (<Code inline>) has no <pre> to wrap.
+      if (root.children[0]?.tagName !== 'pre') return;
+
+      const { title } = parseCodeMeta(this.options.meta?.__raw);
+      const caption = title
+        ? [element('figcaption', { className: ['code-title'] }, [{ type: 'text', value: title }])]
+        : [];
+      const copyButton = element(
+        'button',
+        { type: 'button', className: ['copy-code'], ariaLabel: 'Copy code', hidden: true },
+        [{ type: 'text', value: 'Copy' }]
+      );
+
+      root.children = [
+        element('figure', { className: ['code-block'] }, [
+          ...caption,
+          ...root.children,
+          copyButton,
+        ]),
+      ];
+    },
+  };
+}
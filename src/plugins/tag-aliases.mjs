@@ -0,0 +1,15 @@
+// Tag spelling shared by the site (src/utils/tags.ts) and the content
+// scripts, which cannot import TypeScript.
+
+// A function lowercasing a tag and replacing an alias by its tag, for the
+// definitions of tags.json.
+export function createTagNormalizer(definitions) {
+  const aliases = new Map(
+    definitions.flatMap((tag) => (tag.aliases || []).map((alias) => [alias, tag.id]))
+  );
+
+  return (tag) => {
+    const name = tag.trim().toLowerCase();
+    return aliases.get(name) || name;
+  };
+}
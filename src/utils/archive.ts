@@ -0,0 +1,81 @@
+import type { CollectionEntry } from 'astro:content';
+import { spaceIds, getSpaceTitle } from './spaces';
+import { getLocale } from './i18n';
+
+type Post = CollectionEntry<'blog'>;
+
+export interface ArchiveMonth {
+  year: string;
+  // Two-digit month, "01" to "12".
+  month: string;
+  posts: Post[];
+}
+
+export interface ArchiveYear {
+  year: string;
+  posts: Post[];
+  months: ArchiveMonth[];
+}
+
+export interface SpaceGroup {
+  space: string;
+  title: string;
+  posts: Post[];
+}
+
+// Frontmatter dates are parsed as UTC midnight, so periods are read in UTC.
+export function getPostPeriod(post: Post): { year: string; month: string } {
+  const date = post.data.date;
+
+  return {
+    year: String(date.getUTCFullYear()),
+    month: String(date.getUTCMonth() + 1).padStart(2, '0'),
+  };
+}
+
+// "01" -> "January" ("enero" in Spanish).
+export function getMonthName(month: string, localeId: string): string {
+  return new Intl.DateTimeFormat(getLocale(localeId).locale, {
+    month: 'long',
+    timeZone: 'UTC',
+  }).format(new Date(Date.UTC(2000, Number(month) - 1, 1)));
+}
+
+// Groups posts into years and months, newest first. Posts keep their order
+// within each period.
+export function groupPostsByPeriod(posts: Post[]): ArchiveYear[] {
+  const years = new Map<string, ArchiveYear>();
+
+  for (const post of posts) {
+    const { year, month } = getPostPeriod(post);
+
+    if (!years.has(year)) years.set(year, { year, posts: [], months: [] });
+    const archiveYear = years.get(year)!;
+    archiveYear.posts.push(post);
+
+    let archiveMonth = archiveYear.months.find((m) => m.month === month);
+    if (!archiveMonth) {
+      archiveMonth = { year, month, posts: [] };
+      archiveYear.months.push(archiveMonth);
+    }
+    archiveMonth.posts.push(post);
+  }
+
+  return [...years.values()]
+    .sort((a, b) => b.year.localeCompare(a.year))
+    .map((archiveYear) => ({
+      ...archiveYear,
+      months: archiveYear.months.sort((a, b) => b.month.localeCompare(a.month)),
+    }));
+}
+
+// Groups posts by the space they were published in, in registry order.
+export function groupPostsBySpace(posts: Post[]): SpaceGroup[] {
+  return spaceIds
+    .map((space) => ({
+      space,
+      title: getSpaceTitle(space),
+      posts: posts.filter((post) => post.data.space === space),
+    }))
+    .filter((group) => group.posts.length > 0);
+}
@@ -0,0 +1,68 @@
+import type { CollectionEntry } from 'astro:content';
+import authorsData from '../authors.json';
+
+export interface AuthorLink {
+  label: string;
+  url: string;
+}
+
+export interface Author {
+  id: string;
+  name: string;
+  bio: string;
+  avatar?: string;
+  email?: string;
+  links: AuthorLink[];
+}
+
+// authors.json lists everyone who can be credited in a post's `authors`.
+export const authors: Author[] = authorsData;
+
+export const authorIds: string[] = authors.map((author) => author.id);
+
+// Posts without an `authors` field are credited to the first author.
+export const DEFAULT_AUTHOR_ID = authorIds[0];
+
+export function getAuthor(authorId: string): Author | undefined {
+  return authors.find((author) => author.id === authorId);
+}
+
+export function isAuthorId(authorId: string): boolean {
+  return authorIds.includes(authorId);
+}
+
+export function getAuthorPath(authorId: string): string {
+  return `/authors/${authorId}`;
+}
+
+export function getPostAuthors(post: CollectionEntry<'blog'>): Author[] {
+  return post.data.authors.map(getAuthor).filter((author): author is Author => !!author);
+}
+
+export function findAuthorRegistryErrors(): string[] {
+  const errors: string[] = [];
+  const seen = new Set<string>();
+
+  if (authors.length === 0) errors.push('authors.json lists no authors');
+
+  for (const author of authors) {
+    if (seen.has(author.id)) {
+      errors.push(`Author "${author.id}" is declared more than once in authors.json`);
+    }
+    seen.add(author.id);
+
+    if (!/^[a-z0-9-]+$/.test(author.id)) {
+      errors.push(`Author id "${author.id}" must be lowercase letters, digits and hyphens`);
+    }
+  }
+
+  return errors;
+}
+
+export function assertAuthorRegistry() {
+  const errors = findAuthorRegistryErrors();
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid author registry:\n  - ${errors.join('\n  - ')}`);
+  }
+}
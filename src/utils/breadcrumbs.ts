@@ -1,21 +1,56 @@
+import { getSpaceAncestors, getSpacePath, getSpaceTitle } from './spaces';
+import { getMonthName } from './archive';
+import { DEFAULT_LOCALE } from './i18n';
+
+export { getSpaceTitle } from './spaces';
+
 export interface Breadcrumb {
   label: string;
   href: string;
 }
 
+// An archive page: the whole archive, one year, or one month of a year.
+export interface ArchivePeriod {
+  year?: string;
+  month?: string;
+}
+
 export function generateBreadcrumbs(
   space?: string,
-  postTitle?: string
+  postTitle?: string,
+  archive?: ArchivePeriod
 ): Breadcrumb[] {
-  const breadcrumbs: Breadcrumb[] = [
-    { label: 'Home', href: '/' },
-  ];
+  const base = import.meta.env.BASE_URL;
+  const breadcrumbs: Breadcrumb[] = [{ label: 'Home', href: base }];
 
   if (space) {
-    breadcrumbs.push(
-      { label: 'Spaces', href: '/spaces' },
-      { label: space, href: `/spaces/${space}` }
-    );
+    breadcrumbs.push({ label: 'Spaces', href: `${base}/spaces` });
+
+    for (const ancestor of getSpaceAncestors(space)) {
+      breadcrumbs.push({
+        label: ancestor.title,
+        href: `${base}/spaces/${getSpacePath(ancestor.id)}`,
+      });
+    }
+
+    breadcrumbs.push({
+      label: getSpaceTitle(space),
+      href: postTitle ? `${base}/spaces/${getSpacePath(space)}` : '#',
+    });
+  }
+
+  if (archive) {
+    const { year, month } = archive;
+
+    breadcrumbs.push({ label: 'Archive', href: year ? `${base}/archive` : '#' });
+
+    if (year) {
+      breadcrumbs.push({ label: year, href: month ? `${base}/archive/${year}` : '#' });
+    }
+
+    if (year && month) {
+      breadcrumbs.push({ label: getMonthName(month, DEFAULT_LOCALE), href: '#' });
+    }
   }
 
   if (postTitle) {
@@ -27,15 +62,3 @@ export function generateBreadcrumbs(
 
   return breadcrumbs;
 }
-
-export function getSpaceTitle(spaceId: string): string {
-  const titles: Record<string, string> = {
-    ml: 'Machine Learning',
-    transformers: 'Transformers',
-    web: 'Web Development',
-    notes: 'General Notes',
-    blog: 'Blog',
-  };
-  
-  return titles[spaceId] || spaceId;
-}
@@ -1,18 +1,30 @@
-import { getCollection } from 'astro:content';
-import readingTime from 'reading-time';
+import { getCollection, type CollectionEntry } from 'astro:content';
+import { spaceIds, getSpaceDescendantIds, getSpaceAncestors, getSpaceTitle } from './spaces';
+import { stripMarkdown } from './markdown';
+import { getPostStats } from './contentStats';
+import { groupPostsByPeriod, type ArchiveYear } from './archive';
+import { isVisible } from './publishing';
+import { groupPostsBySeries, type Series } from './series';
+import { tokenize, type SearchDocument } from './search';
+import { findBacklinks } from './wikiLinks';
+import { buildGraph, type Graph } from './graph';
+import { countTags } from './tags';
+import { DEFAULT_LOCALE, getPostPath } from './i18n';
+import { withBase } from './urls';
 
-export async function getAllPosts() {
-  const allPosts = [];
-  
-  const collections = ['blog', 'ml', 'transformers', 'web', 'notes'] as const;
-  
-  for (const collection of collections) {
-    try {
-      const posts = await getCollection(collection);
-      allPosts.push(...posts);
-    } catch (e) {
-      // Collection might not exist yet
-    }
+// Posts of one space's collection, without drafts, scheduled or expired
+// posts outside of `astro dev`.
+export async function getSpaceCollection(space: string) {
+  return getCollection(space as 'blog', isVisible);
+}
+
+// Every visible post, translations included.
+export async function getPostsInAllLocales() {
+  const allPosts: CollectionEntry<'blog'>[] = [];
+
+  for (const collection of spaceIds) {
+    const posts = await getSpaceCollection(collection);
+    allPosts.push(...posts);
   }
   
   return allPosts.sort((a, b) => 
@@ -20,16 +32,164 @@ export async function getAllPosts() {
   );
 }
 
+// Posts written in one language. Listings, feeds, search and the graph only
+// cover the default locale; other locales have their own pages and feeds.
+export async function getAllPosts(locale: string = DEFAULT_LOCALE) {
+  const allPosts = await getPostsInAllLocales();
+  return allPosts.filter(post => post.data.lang === locale);
+}
+
 export async function getPostsBySpace(space: string) {
   const allPosts = await getAllPosts();
   return allPosts.filter(post => post.data.space === space);
 }
 
+// Posts of a space together with the posts of all its sub-spaces.
+export async function getPostsInSpaceTree(space: string) {
+  const spaceTree = getSpaceDescendantIds(space);
+  const allPosts = await getAllPosts();
+  return allPosts.filter(post => spaceTree.includes(post.data.space));
+}
+
 export async function getPostsByTag(tag: string) {
   const allPosts = await getAllPosts();
   return allPosts.filter(post => post.data.tags.includes(tag));
 }
 
+export async function getPostsByAuthor(authorId: string) {
+  const allPosts = await getAllPosts();
+  return allPosts.filter(post => post.data.authors.includes(authorId));
+}
+
+export interface RelatedPostOptions {
+  // How many related posts to return at most.
+  limit?: number;
+  // Posts scoring below this (0-1) are left out.
+  minScore?: number;
+  // Share of the score from shared tags; the rest comes from the body text.
+  tagWeight?: number;
+}
+
+export interface RelatedPost {
+  post: CollectionEntry<'blog'>;
+  score: number;
+}
+
+export const RELATED_POST_DEFAULTS: Required<RelatedPostOptions> = {
+  limit: 3,
+  minScore: 0.1,
+  tagWeight: 0.6,
+};
+
+const STOP_WORDS = new Set(
+  ('the and for are but not you your with this that from have has was were will can its ' +
+    'they them their what when where which who how all any each into more most other some ' +
+    'such than then there these those our out use used using also just like very about')
+    .split(' ')
+);
+
+const termCounts = new WeakMap<CollectionEntry<'blog'>, Map<string, number>>();
+
+function getTermCounts(post: CollectionEntry<'blog'>) {
+  let counts = termCounts.get(post);
+
+  if (!counts) {
+    counts = new Map();
+    for (const term of tokenize(stripMarkdown(post.body || ''))) {
+      if (term.length < 3 || STOP_WORDS.has(term) || /^\d+$/.test(term)) continue;
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    termCounts.set(post, counts);
+  }
+
+  return counts;
+}
+
+// Inverse document frequency: terms and tags found in fewer posts count more.
+function idf(documentFrequency: number, total: number) {
+  return Math.log((1 + total) / (1 + documentFrequency)) + 1;
+}
+
+function countDocuments(sets: Iterable<string>[]) {
+  const frequencies = new Map<string, number>();
+  sets.forEach(set => {
+    for (const key of new Set(set)) frequencies.set(key, (frequencies.get(key) || 0) + 1);
+  });
+  return frequencies;
+}
+
+function tfidfVector(counts: Map<string, number>, frequencies: Map<string, number>, total: number) {
+  const vector = new Map<string, number>();
+  counts.forEach((count, term) => {
+    vector.set(term, count * idf(frequencies.get(term) || 0, total));
+  });
+  return vector;
+}
+
+function cosine(a: Map<string, number>, b: Map<string, number>) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  a.forEach((value, term) => {
+    normA += value * value;
+    dot += value * (b.get(term) || 0);
+  });
+  b.forEach(value => {
+    normB += value * value;
+  });
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Scores every other post in `posts` against `post`: rarity-weighted tag
+// overlap (shared tags over all tags of the pair) blended with TF-IDF cosine
+// similarity of the body text. Scores are between 0 and 1, best first.
+export function scoreRelatedPosts(
+  post: CollectionEntry<'blog'>,
+  posts: CollectionEntry<'blog'>[],
+  options: RelatedPostOptions = {}
+): RelatedPost[] {
+  const { limit, minScore, tagWeight } = { ...RELATED_POST_DEFAULTS, ...options };
+  const total = posts.length;
+  const tagFrequencies = countDocuments(posts.map(p => p.data.tags));
+  const termFrequencies = countDocuments(posts.map(p => getTermCounts(p).keys()));
+  const vector = tfidfVector(getTermCounts(post), termFrequencies, total);
+  const tagIdf = (tag: string) => idf(tagFrequencies.get(tag) || 0, total);
+
+  return posts
+    .filter(other => !(other.id === post.id && other.collection === post.collection))
+    .map(other => {
+      const union = new Set([...post.data.tags, ...other.data.tags]);
+      const shared = [...union].filter(
+        tag => post.data.tags.includes(tag) && other.data.tags.includes(tag)
+      );
+      const unionWeight = [...union].reduce((sum, tag) => sum + tagIdf(tag), 0);
+      const tagScore = unionWeight
+        ? shared.reduce((sum, tag) => sum + tagIdf(tag), 0) / unionWeight
+        : 0;
+      const textScore = cosine(vector, tfidfVector(getTermCounts(other), termFrequencies, total));
+
+      return { post: other, score: tagWeight * tagScore + (1 - tagWeight) * textScore };
+    })
+    .filter(related => related.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+export async function getRelatedPosts(
+  post: CollectionEntry<'blog'>,
+  options: RelatedPostOptions = {}
+) {
+  const allPosts = await getAllPosts();
+  return scoreRelatedPosts(post, allPosts, options);
+}
+
+export async function getBacklinks(post: CollectionEntry<'blog'>) {
+  const allPosts = await getAllPosts();
+  return findBacklinks(post, allPosts);
+}
+
 export async function getAllTags() {
   const allPosts = await getAllPosts();
   const tags = new Set<string>();
@@ -41,12 +201,45 @@ export async function getAllTags() {
   return Array.from(tags).sort();
 }
 
-export function calculateReadingTime(content: string): string {
-  const result = readingTime(content);
-  return result.text;
+export async function getTagCounts() {
+  return countTags(await getAllPosts());
 }
 
 export async function getLatestPosts(limit: number = 5) {
   const allPosts = await getAllPosts();
   return allPosts.slice(0, limit);
 }
+
+export async function getArchive(): Promise<ArchiveYear[]> {
+  const allPosts = await getAllPosts();
+  return groupPostsByPeriod(allPosts);
+}
+
+export async function getAllSeries(): Promise<Series[]> {
+  const allPosts = await getAllPosts();
+  return groupPostsBySeries(allPosts);
+}
+
+export async function getKnowledgeGraph(): Promise<Graph> {
+  const allPosts = await getAllPosts();
+  return buildGraph(allPosts);
+}
+
+export async function getSearchDocuments(): Promise<SearchDocument[]> {
+  const allPosts = await getAllPosts();
+
+  return allPosts.map(post => ({
+    slug: post.slug,
+    url: withBase(getPostPath(post)),
+    title: post.data.title,
+    description: post.data.description,
+    tags: post.data.tags,
+    space: post.data.space,
+    spaceTitle: getSpaceTitle(post.data.space),
+    spaces: [...getSpaceAncestors(post.data.space).map(space => space.id), post.data.space],
+    date: post.data.date.toISOString(),
+    text: stripMarkdown(post.body || ''),
+    words: getPostStats(post).words,
+    minutes: getPostStats(post).minutes,
+  }));
+}
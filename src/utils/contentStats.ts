@@ -0,0 +1,76 @@
+import readingTime from 'reading-time';
+import { DISPLAY_MATH, FENCED_CODE, INLINE_MATH, stripCode, stripMarkdown } from './markdown';
+import { DEFAULT_LOCALE, t } from './i18n';
+
+export interface ContentStats {
+  // Words of prose, without code, math, JSX or markdown syntax.
+  words: number;
+  // Non-blank lines inside fenced code blocks.
+  codeLines: number;
+  // Display and inline math expressions.
+  equations: number;
+  // Estimated reading time, to a tenth of a minute.
+  minutes: number;
+}
+
+const WORDS_PER_MINUTE = 200;
+// Code and math are read more slowly than prose.
+const SECONDS_PER_CODE_LINE = 5;
+const SECONDS_PER_DISPLAY_EQUATION = 15;
+const SECONDS_PER_INLINE_EQUATION = 3;
+
+function countCodeLines(body: string): number {
+  return (body.match(FENCED_CODE) || [])
+    .flatMap((block) => block.split('\n').slice(1, -1))
+    .filter((line) => line.trim()).length;
+}
+
+export function getContentStats(body: string): ContentStats {
+  // `$` inside code is not math.
+  const withoutCode = stripCode(body);
+  const display = (withoutCode.match(DISPLAY_MATH) || []).length;
+  const inline = (withoutCode.replace(DISPLAY_MATH, ' ').match(INLINE_MATH) || []).length;
+  const codeLines = countCodeLines(body);
+  const prose = readingTime(stripMarkdown(body), { wordsPerMinute: WORDS_PER_MINUTE });
+  const seconds =
+    codeLines * SECONDS_PER_CODE_LINE +
+    display * SECONDS_PER_DISPLAY_EQUATION +
+    inline * SECONDS_PER_INLINE_EQUATION;
+
+  return {
+    words: prose.words,
+    codeLines,
+    equations: display + inline,
+    minutes: Math.round((prose.minutes + seconds / 60) * 10) / 10,
+  };
+}
+
+// Listings, post pages and the search index all ask for the same posts, so
+// each body is only measured once per build.
+const statsCache = new Map<string, ContentStats>();
+
+export function getPostStats(post: { body?: string }): ContentStats {
+  const body = post.body || '';
+  let stats = statsCache.get(body);
+
+  if (!stats) {
+    stats = getContentStats(body);
+    statsCache.set(body, stats);
+  }
+
+  return stats;
+}
+
+// "4 min read", rounded up.
+export function formatReadingTime(minutes: number, locale: string = DEFAULT_LOCALE): string {
+  return t(locale, 'post.readingTime', { minutes: Math.ceil(minutes) });
+}
+
+// "1200 words · 30 lines of code · 4 equations"
+export function formatContentStats(stats: ContentStats, locale: string = DEFAULT_LOCALE): string {
+  return t(locale, 'post.stats', {
+    words: stats.words,
+    codeLines: stats.codeLines,
+    equations: stats.equations,
+  });
+}
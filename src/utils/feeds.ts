@@ -0,0 +1,378 @@
+import rss from '@astrojs/rss';
+import { experimental_AstroContainer as AstroContainer } from 'astro/container';
+import jsxRenderer from 'astro/jsx/server.js';
+import type { CollectionEntry } from 'astro:content';
+import { getAllPosts, getPostsByTag, getPostsInSpaceTree } from './contentHelpers';
+import { DEFAULT_LOCALE, getLocale, getPostPath, t } from './i18n';
+import { getSpace, getSpacePath, getSpaceTitle } from './spaces';
+import {
+  DEFAULT_AUTHOR_ID,
+  getAuthor,
+  getAuthorPath,
+  getPostAuthors,
+  type Author,
+} from './authors';
+import { getPostLastModified } from './revisions';
+import { absoluteUrl, withBase } from './urls';
+
+const SITE_TITLE = 'Confero';
+const SITE_DESCRIPTION = t(DEFAULT_LOCALE, 'site.description');
+
+export type FeedFormat = 'rss' | 'atom' | 'json';
+
+export interface Feed {
+  title: string;
+  description: string;
+  // Site-relative path of the page the feed belongs to, "" for the homepage.
+  path: string;
+  // Locale id of the feed's posts.
+  lang: string;
+  posts: CollectionEntry<'blog'>[];
+}
+
+export interface FeedLink {
+  title: string;
+  type: string;
+  href: string;
+}
+
+const FEED_FILES: Record<FeedFormat, { file: string; type: string; label: string }> = {
+  rss: { file: 'rss.xml', type: 'application/rss+xml', label: 'RSS' },
+  atom: { file: 'atom.xml', type: 'application/atom+xml', label: 'Atom' },
+  json: { file: 'feed.json', type: 'application/feed+json', label: 'JSON Feed' },
+};
+
+type FeedInfo = Omit<Feed, 'posts'>;
+
+function globalFeedInfo(): FeedInfo {
+  return { title: SITE_TITLE, description: SITE_DESCRIPTION, path: '', lang: DEFAULT_LOCALE };
+}
+
+function localeFeedInfo(localeId: string): FeedInfo {
+  return {
+    title: `${SITE_TITLE} – ${getLocale(localeId).name}`,
+    description: t(localeId, 'site.description'),
+    path: `/${localeId}`,
+    lang: localeId,
+  };
+}
+
+function spaceFeedInfo(spaceId: string): FeedInfo {
+  const space = getSpace(spaceId);
+
+  return {
+    title: `${SITE_TITLE} – ${space?.title || spaceId}`,
+    description: space?.description || SITE_DESCRIPTION,
+    path: `/spaces/${getSpacePath(spaceId)}`,
+    lang: DEFAULT_LOCALE,
+  };
+}
+
+function tagFeedInfo(tag: string): FeedInfo {
+  return {
+    title: `${SITE_TITLE} – #${tag}`,
+    description: t(DEFAULT_LOCALE, 'tag.description', { tag }),
+    path: `/tags/${tag}`,
+    lang: DEFAULT_LOCALE,
+  };
+}
+
+export async function getGlobalFeed(): Promise<Feed> {
+  return { ...globalFeedInfo(), posts: await getAllPosts() };
+}
+
+export async function getLocaleFeed(localeId: string): Promise<Feed> {
+  return { ...localeFeedInfo(localeId), posts: await getAllPosts(localeId) };
+}
+
+export async function getSpaceFeed(spaceId: string): Promise<Feed> {
+  return { ...spaceFeedInfo(spaceId), posts: await getPostsInSpaceTree(spaceId) };
+}
+
+export async function getTagFeed(tag: string): Promise<Feed> {
+  return { ...tagFeedInfo(tag), posts: await getPostsByTag(tag) };
+}
+
+function getFeedLinks({ title, path }: FeedInfo): FeedLink[] {
+  return Object.values(FEED_FILES).map(({ file, type, label }) => ({
+    title: `${title} (${label})`,
+    type,
+    href: withBase(`${path}/${file}`),
+  }));
+}
+
+export function getGlobalFeedLinks(): FeedLink[] {
+  return getFeedLinks(globalFeedInfo());
+}
+
+// Site-wide feeds of pages in `localeId`: the global feed, or the locale's
+// own feed for translations.
+export function getSiteFeedLinks(localeId: string): FeedLink[] {
+  return localeId === DEFAULT_LOCALE ? getGlobalFeedLinks() : getLocaleFeedLinks(localeId);
+}
+
+export function getLocaleFeedLinks(localeId: string): FeedLink[] {
+  return getFeedLinks(localeFeedInfo(localeId));
+}
+
+export function getSpaceFeedLinks(spaceId: string): FeedLink[] {
+  return getFeedLinks(spaceFeedInfo(spaceId));
+}
+
+export function getTagFeedLinks(tag: string): FeedLink[] {
+  return getFeedLinks(tagFeedInfo(tag));
+}
+
+function feedUrl(feed: Feed, format: FeedFormat, site: URL) {
+  return absoluteUrl(`${feed.path}/${FEED_FILES[format].file}`, site);
+}
+
+function postUrl(post: CollectionEntry<'blog'>, site: URL) {
+  return absoluteUrl(getPostPath(post), site);
+}
+
+// RSS and Atom use lowercase language tags, e.g. "en-us".
+function feedLanguage(feed: Feed) {
+  return getLocale(feed.lang).locale.toLowerCase();
+}
+
+function spaceUrl(spaceId: string, site: URL) {
+  return absoluteUrl(`/spaces/${getSpacePath(spaceId)}`, site);
+}
+
+function tagUrl(tag: string, site: URL) {
+  return absoluteUrl(`/tags/${tag}`, site);
+}
+
+function authorUrl(author: Author, site: URL) {
+  return absoluteUrl(getAuthorPath(author.id), site);
+}
+
+// RSS <author> must be an email address, so it names the first author who has
+// one. Every author is listed as a <dc:creator> as well.
+function rssAuthor(authors: Author[]): string | undefined {
+  const author = authors.find((a) => a.email);
+  return author && `${author.email} (${author.name})`;
+}
+
+function jsonFeedAuthor(author: Author, site: URL) {
+  return { name: author.name, url: authorUrl(author, site), avatar: author.avatar };
+}
+
+// Rewrites root-relative and relative href/src values to absolute URLs, so
+// links and images keep working when the HTML is read outside the site.
+export function absolutizeUrls(html: string, pageUrl: string, site: URL): string {
+  const base = import.meta.env.BASE_URL.replace(/\/$/, '');
+
+  return html.replace(/(\s)(href|src)="([^"]*)"/g, (match, space, attr: string, url: string) => {
+    if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url)) return match;
+
+    let absolute: string;
+    if (url.startsWith('/')) {
+      const hasBase = base && (url === base || url.startsWith(`${base}/`));
+      absolute = hasBase ? new URL(url, new URL(site).origin).href : absoluteUrl(url, site);
+    } else {
+      absolute = new URL(url, `${pageUrl}/`).href;
+    }
+
+    return `${space}${attr}="${absolute}"`;
+  });
+}
+
+// MathJax SVG is self-contained, but many feed readers strip inline <svg> and
+// unknown elements like <mjx-container>. Embed each expression as an image
+// instead, with its TeX source as the alt text.
+export function inlineMathAsImages(html: string): string {
+  return html.replace(
+    /<mjx-container([^>]*)>(<svg[\s\S]*?<\/svg>)<\/mjx-container>/g,
+    (_match, attrs: string, svg: string) => {
+      const tex = attrs.match(/data-tex="([^"]*)"/)?.[1] || 'math';
+      const display = /display="true"/.test(attrs);
+      const width = svg.match(/width="([^"]*)"/)?.[1];
+      const height = svg.match(/height="([^"]*)"/)?.[1];
+      const align = svg.match(/vertical-align:\s*([^;"]*)/)?.[1];
+      const style = [
+        width && `width: ${width}`,
+        height && `height: ${height}`,
+        align && `vertical-align: ${align}`,
+      ]
+        .filter(Boolean)
+        .join('; ');
+      const src = `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+      const img = `<img src="${src}" alt="${tex}" style="${style}">`;
+
+      return display ? `<p style="text-align: center">${img}</p>` : img;
+    }
+  );
+}
+
+let container: AstroContainer | undefined;
+
+// A post appears in the site, space, tag and locale feeds in every format,
+// so each one is only rendered once per build. Promises are cached so feeds
+// rendered side by side share the work too.
+const contentCache = new Map<string, Promise<string>>();
+
+// Full post HTML for feed readers: absolute URLs and script-free math.
+function renderPostContent(post: CollectionEntry<'blog'>, site: URL): Promise<string> {
+  const key = `${post.collection}/${post.id}`;
+  let content = contentCache.get(key);
+
+  if (!content) {
+    content = renderUncachedPostContent(post, site);
+    contentCache.set(key, content);
+  }
+
+  return content;
+}
+
+async function renderUncachedPostContent(
+  post: CollectionEntry<'blog'>,
+  site: URL
+): Promise<string> {
+  if (!container) {
+    container = await AstroContainer.create();
+    // MDX content renders through Astro's JSX renderer.
+    container.addServerRenderer({ name: 'astro:jsx', renderer: jsxRenderer });
+  }
+  const { Content } = await post.render();
+  // Heading self-links and copy buttons need the site's script and styles
+  // to make sense.
+  const html = (await container.renderToString(Content))
+    .replace(/<a class="heading-anchor"[^>]*><\/a>/g, '')
+    .replace(/<button[^>]*class="copy-code"[^>]*>[^<]*<\/button>/g, '');
+
+  // Math goes first so the SVG's internal `xlink:href="#..."` references are
+  // encoded before URLs are rewritten.
+  return absolutizeUrls(inlineMathAsImages(html), postUrl(post, site), site);
+}
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// The latest change to any of the feed's posts.
+function lastUpdated(feed: Feed): Date {
+  return feed.posts.map(getPostLastModified).reduce((a, b) => (b > a ? b : a), new Date(0));
+}
+
+export async function rssResponse(feed: Feed, site: URL) {
+  const contents = await Promise.all(feed.posts.map((post) => renderPostContent(post, site)));
+
+  return rss({
+    title: feed.title,
+    description: feed.description,
+    site: absoluteUrl(feed.path || '/', site),
+    xmlns: { atom: 'http://www.w3.org/2005/Atom', dc: 'http://purl.org/dc/elements/1.1/' },
+    items: feed.posts.map((post, i) => ({
+      title: post.data.title,
+      pubDate: post.data.date,
+      description: post.data.description,
+      link: postUrl(post, site),
+      content: contents[i],
+      author: rssAuthor(getPostAuthors(post)),
+      // Written by hand rather than through `categories` so tags and the
+      // space can be told apart by their domain.
+      customData: [
+        ...getPostAuthors(post).map(
+          (author) => `<dc:creator>${escapeXml(author.name)}</dc:creator>`
+        ),
+        ...post.data.tags.map(
+          (tag) => `<category domain="${tagUrl(tag, site)}">${escapeXml(tag)}</category>`
+        ),
+        `<category domain="${spaceUrl(post.data.space, site)}">${escapeXml(
+          getSpaceTitle(post.data.space)
+        )}</category>`,
+      ].join(''),
+    })),
+    customData: [
+      `<language>${feedLanguage(feed)}</language>`,
+      `<atom:link href="${feedUrl(feed, 'rss', site)}" rel="self" type="application/rss+xml"/>`,
+    ].join(''),
+  });
+}
+
+export async function atomResponse(feed: Feed, site: URL) {
+  const contents = await Promise.all(feed.posts.map((post) => renderPostContent(post, site)));
+  const entries = feed.posts.map((post, i) => {
+    const url = postUrl(post, site);
+
+    return [
+      '<entry>',
+      `<title>${escapeXml(post.data.title)}</title>`,
+      `<link href="${url}"/>`,
+      `<id>${url}</id>`,
+      `<published>${post.data.date.toISOString()}</published>`,
+      `<updated>${getPostLastModified(post).toISOString()}</updated>`,
+      `<summary>${escapeXml(post.data.description)}</summary>`,
+      `<content type="html">${escapeXml(contents[i])}</content>`,
+      ...getPostAuthors(post).map(
+        (author) =>
+          `<author><name>${escapeXml(author.name)}</name><uri>${authorUrl(author, site)}</uri></author>`
+      ),
+      ...post.data.tags.map(
+        (tag) => `<category term="${escapeXml(tag)}" scheme="${tagUrl(tag, site)}"/>`
+      ),
+      `<category term="${post.data.space}" label="${escapeXml(
+        getSpaceTitle(post.data.space)
+      )}" scheme="${spaceUrl(post.data.space, site)}"/>`,
+      '</entry>',
+    ].join('');
+  });
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${feedLanguage(feed)}">`,
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `<link href="${absoluteUrl(feed.path || '/', site)}"/>`,
+    `<link href="${feedUrl(feed, 'atom', site)}" rel="self" type="application/atom+xml"/>`,
+    `<id>${absoluteUrl(feed.path || '/', site)}</id>`,
+    `<updated>${lastUpdated(feed).toISOString()}</updated>`,
+    ...entries,
+    '</feed>',
+  ].join('');
+
+  return new Response(xml, {
+    headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' },
+  });
+}
+
+export async function jsonFeedResponse(feed: Feed, site: URL) {
+  const contents = await Promise.all(feed.posts.map((post) => renderPostContent(post, site)));
+  const json = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: absoluteUrl(feed.path || '/', site),
+    feed_url: feedUrl(feed, 'json', site),
+    language: getLocale(feed.lang).locale,
+    authors: [jsonFeedAuthor(getAuthor(DEFAULT_AUTHOR_ID)!, site)],
+    items: feed.posts.map((post, i) => ({
+      id: postUrl(post, site),
+      url: postUrl(post, site),
+      title: post.data.title,
+      summary: post.data.description,
+      content_html: contents[i],
+      date_published: post.data.date.toISOString(),
+      date_modified: getPostLastModified(post).toISOString(),
+      authors: getPostAuthors(post).map((author) => jsonFeedAuthor(author, site)),
+      tags: post.data.tags,
+      // JSON Feed extensions are prefixed with an underscore.
+      _space: {
+        id: post.data.space,
+        title: getSpaceTitle(post.data.space),
+        url: spaceUrl(post.data.space, site),
+      },
+    })),
+  };
+
+  return new Response(JSON.stringify(json, null, 2), {
+    headers: { 'Content-Type': 'application/feed+json; charset=utf-8' },
+  });
+}
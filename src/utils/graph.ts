@@ -0,0 +1,228 @@
+import type { CollectionEntry } from 'astro:content';
+import { spaces, getSpacePath } from './spaces';
+import { withBase } from './urls';
+import { getPostPath } from './i18n';
+import { getWikiLinks, linksTo } from './wikiLinks';
+import { stripCode } from './markdown';
+
+type Post = CollectionEntry<'blog'>;
+
+export type GraphNodeType = 'post' | 'tag' | 'space';
+// post -> tag, post -> its space, post -> post it links to, space -> parent space
+export type GraphEdgeType = 'tag' | 'space' | 'link' | 'parent';
+
+export interface GraphNode {
+  id: string;
+  type: GraphNodeType;
+  label: string;
+  href: string;
+}
+
+export interface GraphEdge {
+  source: string;
+  target: string;
+  type: GraphEdgeType;
+}
+
+export interface Graph {
+  nodes: GraphNode[];
+  edges: GraphEdge[];
+}
+
+export interface PositionedNode extends GraphNode {
+  x: number;
+  y: number;
+  degree: number;
+}
+
+export interface GraphLayout {
+  width: number;
+  height: number;
+  nodes: PositionedNode[];
+  edges: GraphEdge[];
+}
+
+export interface GraphLayoutOptions {
+  width?: number;
+  height?: number;
+  iterations?: number;
+}
+
+export const GRAPH_LAYOUT_DEFAULTS: Required<GraphLayoutOptions> = {
+  width: 1000,
+  height: 700,
+  iterations: 300,
+};
+
+// Hand-written markdown links to a post, e.g. [text](/posts/slug).
+const POST_LINK = /\]\([^)\s]*?\/posts\/([^)\s/#?]+)/g;
+
+export const postNodeId = (slug: string) => `post:${slug}`;
+export const tagNodeId = (tag: string) => `tag:${tag}`;
+export const spaceNodeId = (space: string) => `space:${space}`;
+
+// Posts this post links to, by wiki link or plain markdown link.
+function getLinkedPosts(post: Post, posts: Post[]): Post[] {
+  const body = post.body || '';
+  const wikiLinks = getWikiLinks(body);
+  const slugs = [...stripCode(body).matchAll(POST_LINK)].map((match) => match[1]);
+
+  return posts.filter(
+    (other) =>
+      !(other.id === post.id && other.collection === post.collection) &&
+      (slugs.includes(other.slug) || wikiLinks.some((link) => linksTo(link, other)))
+  );
+}
+
+// Every space in the registry, every post, and every tag in use.
+export function buildGraph(posts: Post[]): Graph {
+  const nodes = new Map<string, GraphNode>();
+  const edges = new Map<string, GraphEdge>();
+  const addEdge = (source: string, target: string, type: GraphEdgeType) => {
+    if (nodes.has(source) && nodes.has(target)) {
+      edges.set(`${source}>${target}`, { source, target, type });
+    }
+  };
+
+  for (const space of spaces) {
+    nodes.set(spaceNodeId(space.id), {
+      id: spaceNodeId(space.id),
+      type: 'space',
+      label: space.title,
+      href: withBase(`/spaces/${getSpacePath(space.id)}`),
+    });
+  }
+  for (const post of posts) {
+    nodes.set(postNodeId(post.slug), {
+      id: postNodeId(post.slug),
+      type: 'post',
+      label: post.data.title,
+      href: withBase(getPostPath(post)),
+    });
+    for (const tag of post.data.tags) {
+      nodes.set(tagNodeId(tag), {
+        id: tagNodeId(tag),
+        type: 'tag',
+        label: `#${tag}`,
+        href: withBase(`/tags/${tag}`),
+      });
+    }
+  }
+
+  for (const space of spaces) {
+    if (space.parent) addEdge(spaceNodeId(space.id), spaceNodeId(space.parent), 'parent');
+  }
+  for (const post of posts) {
+    const id = postNodeId(post.slug);
+    addEdge(id, spaceNodeId(post.data.space), 'space');
+    post.data.tags.forEach((tag) => addEdge(id, tagNodeId(tag), 'tag'));
+    getLinkedPosts(post, posts).forEach((other) => addEdge(id, postNodeId(other.slug), 'link'));
+  }
+
+  return { nodes: [...nodes.values()], edges: [...edges.values()] };
+}
+
+// The nodes within `depth` edges of `id` (either direction), and the edges
+// between them.
+export function getNeighbourhood(graph: Graph, id: string, depth = 2): Graph {
+  const included = new Set([id]);
+  let frontier = [id];
+
+  for (let step = 0; step < depth; step++) {
+    const next: string[] = [];
+    for (const edge of graph.edges) {
+      for (const [from, to] of [
+        [edge.source, edge.target],
+        [edge.target, edge.source],
+      ]) {
+        if (frontier.includes(from) && !included.has(to)) {
+          included.add(to);
+          next.push(to);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return {
+    nodes: graph.nodes.filter((node) => included.has(node.id)),
+    edges: graph.edges.filter((edge) => included.has(edge.source) && included.has(edge.target)),
+  };
+}
+
+// Force-directed (Fruchterman-Reingold) layout. Nodes start on a spiral in
+// input order rather than at random, so every build produces the same picture.
+export function layoutGraph(graph: Graph, options: GraphLayoutOptions = {}): GraphLayout {
+  const { width, height, iterations } = { ...GRAPH_LAYOUT_DEFAULTS, ...options };
+  const count = graph.nodes.length;
+  const padding = Math.min(width, height) * 0.08;
+  const ideal = Math.sqrt((width * height) / Math.max(count, 1)) * 0.4;
+  const index = new Map(graph.nodes.map((node, i) => [node.id, i]));
+  const links = graph.edges.map((edge) => [index.get(edge.source)!, index.get(edge.target)!]);
+
+  const x = graph.nodes.map(
+    (_, i) => width / 2 + Math.sqrt(i + 0.5) * ideal * 0.5 * Math.cos(i * 2.4)
+  );
+  const y = graph.nodes.map(
+    (_, i) => height / 2 + Math.sqrt(i + 0.5) * ideal * 0.5 * Math.sin(i * 2.4)
+  );
+
+  for (let step = 0; step < iterations; step++) {
+    const temperature = (Math.min(width, height) / 10) * (1 - step / iterations);
+    const dx = new Array(count).fill(0);
+    const dy = new Array(count).fill(0);
+
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const ox = x[i] - x[j];
+        const oy = y[i] - y[j];
+        const distance = Math.max(Math.hypot(ox, oy), 0.01);
+        const force = (ideal * ideal) / distance;
+        dx[i] += (ox / distance) * force;
+        dy[i] += (oy / distance) * force;
+        dx[j] -= (ox / distance) * force;
+        dy[j] -= (oy / distance) * force;
+      }
+    }
+
+    for (const [i, j] of links) {
+      const ox = x[i] - x[j];
+      const oy = y[i] - y[j];
+      const distance = Math.max(Math.hypot(ox, oy), 0.01);
+      const force = (distance * distance) / ideal;
+      dx[i] -= (ox / distance) * force;
+      dy[i] -= (oy / distance) * force;
+      dx[j] += (ox / distance) * force;
+      dy[j] += (oy / distance) * force;
+    }
+
+    for (let i = 0; i < count; i++) {
+      // A pull to the centre keeps unconnected parts together and on screen.
+      dx[i] += width / 2 - x[i];
+      dy[i] += height / 2 - y[i];
+
+      const length = Math.max(Math.hypot(dx[i], dy[i]), 0.01);
+      const move = Math.min(length, temperature);
+      x[i] = Math.min(width - padding, Math.max(padding, x[i] + (dx[i] / length) * move));
+      y[i] = Math.min(height - padding, Math.max(padding, y[i] + (dy[i] / length) * move));
+    }
+  }
+
+  const degree = new Array(count).fill(0);
+  links.forEach(([i, j]) => {
+    degree[i]++;
+    degree[j]++;
+  });
+
+  return {
+    width,
+    height,
+    nodes: graph.nodes.map((node, i) => ({
+      ...node,
+      x: Math.round(x[i] * 10) / 10,
+      y: Math.round(y[i] * 10) / 10,
+      degree: degree[i],
+    })),
+    edges: graph.edges,
+  };
+}
@@ -0,0 +1,163 @@
+import type { CollectionEntry } from 'astro:content';
+import localesData from '../locales.json';
+
+type Post = CollectionEntry<'blog'>;
+
+export interface Locale {
+  // Used in frontmatter `lang` and as the URL prefix, e.g. "es".
+  id: string;
+  // The language's own name, shown in the language switcher.
+  name: string;
+  // BCP 47 tag for `lang`/`hreflang` attributes, date formatting and feeds.
+  locale: string;
+  strings: Record<string, string>;
+}
+
+// locales.json lists the languages posts can be written in. The first one is
+// the default: its posts keep the unprefixed routes and fill every listing.
+export const locales: Locale[] = localesData;
+
+export const localeIds: string[] = locales.map((locale) => locale.id);
+
+export const DEFAULT_LOCALE = localeIds[0];
+
+// Locales whose pages live under a /<id> prefix.
+export const prefixedLocaleIds: string[] = localeIds.filter((id) => id !== DEFAULT_LOCALE);
+
+// Another language version of a page; `href` is base-prefixed.
+export interface Alternate {
+  lang: string;
+  href: string;
+}
+
+export type UiString = keyof (typeof localesData)[0]['strings'];
+
+export function getLocale(localeId: string): Locale {
+  return locales.find((locale) => locale.id === localeId) || locales[0];
+}
+
+export function isLocale(localeId: string): boolean {
+  return localeIds.includes(localeId);
+}
+
+// UI string for `localeId`, falling back to the default locale. `{name}`
+// placeholders are filled from `params`.
+export function t(
+  localeId: string,
+  key: UiString,
+  params: Record<string, string | number> = {}
+): string {
+  const text = getLocale(localeId).strings[key] ?? getLocale(DEFAULT_LOCALE).strings[key];
+  return text.replace(/\{(\w+)\}/g, (match, name) => String(params[name] ?? match));
+}
+
+// Keys with `.one` and `.other` variants, e.g. "count.posts".
+type PluralKey<Key = UiString> = Key extends `${infer Base}.other` ? Base : never;
+
+// "1 post", "3 posts": the `.one` or `.other` variant of `key` for `count`,
+// with `{count}` filled in.
+export function tCount(
+  localeId: string,
+  key: PluralKey,
+  count: number,
+  params: Record<string, string | number> = {}
+): string {
+  const rule = new Intl.PluralRules(getLocale(localeId).locale).select(count);
+  return t(localeId, `${key}.${rule === 'one' ? 'one' : 'other'}` as UiString, {
+    count,
+    ...params,
+  });
+}
+
+export function formatDate(date: Date, localeId: string, month: 'long' | 'short' = 'long') {
+  return new Intl.DateTimeFormat(getLocale(localeId).locale, {
+    year: 'numeric',
+    month,
+    day: 'numeric',
+  }).format(date);
+}
+
+// "/posts/x" -> "/es/posts/x" for prefixed locales.
+export function localePath(localeId: string, path: string): string {
+  return localeId === DEFAULT_LOCALE ? path : `/${localeId}${path}`;
+}
+
+// Translations share the slug of the post they translate.
+export function getTranslationKey(post: Post): string {
+  return post.data.translationOf ?? post.slug;
+}
+
+export function getPostPath(post: Post): string {
+  return post.data.lang === DEFAULT_LOCALE
+    ? `/posts/${post.slug}`
+    : localePath(post.data.lang, `/posts/${getTranslationKey(post)}`);
+}
+
+// Every version of `post`, itself included, in locales.json order.
+export function getTranslations(post: Post, posts: Post[]): Post[] {
+  const key = getTranslationKey(post);
+
+  return posts
+    .filter((p) => getTranslationKey(p) === key)
+    .sort((a, b) => localeIds.indexOf(a.data.lang) - localeIds.indexOf(b.data.lang));
+}
+
+export function findLocaleRegistryErrors(): string[] {
+  const errors: string[] = [];
+  const seen = new Set<string>();
+  const keys = Object.keys(getLocale(DEFAULT_LOCALE).strings);
+
+  for (const locale of locales) {
+    if (seen.has(locale.id)) {
+      errors.push(`Locale "${locale.id}" is declared more than once in locales.json`);
+    }
+    seen.add(locale.id);
+
+    const missing = keys.filter((key) => !(key in locale.strings));
+    if (missing.length > 0) {
+      errors.push(`Locale "${locale.id}" is missing strings: ${missing.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+export function assertLocaleRegistry() {
+  const errors = findLocaleRegistryErrors();
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid locale registry:\n  - ${errors.join('\n  - ')}`);
+  }
+}
+
+export function findTranslationErrors(posts: Post[]): string[] {
+  const errors: string[] = [];
+  const originals = new Set<string>(posts.filter((p) => !p.data.translationOf).map((p) => p.slug));
+  const routes = new Map<string, Post>();
+
+  for (const post of posts) {
+    const { translationOf } = post.data;
+    if (translationOf && !originals.has(translationOf)) {
+      errors.push(
+        `${post.id}: translationOf "${translationOf}" is not the slug of an original post`
+      );
+    }
+
+    const path = getPostPath(post);
+    const other = routes.get(path);
+    if (other) {
+      errors.push(`${post.id} and ${other.id} are both served at ${path}`);
+    }
+    routes.set(path, post);
+  }
+
+  return errors;
+}
+
+export function assertTranslations(posts: Post[]) {
+  const errors = findTranslationErrors(posts);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid translations:\n  - ${errors.join('\n  - ')}`);
+  }
+}
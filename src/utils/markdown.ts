@@ -0,0 +1,37 @@
+import { WIKI_LINK } from '../plugins/remark-wiki-links.mjs';
+
+export const FENCED_CODE = /^(```|~~~)[^\n]*\n[\s\S]*?^\1[^\S\n]*$/gm;
+export const DISPLAY_MATH = /\$\$[\s\S]*?\$\$|\\\[[\s\S]*?\\\]/g;
+export const INLINE_MATH = /\$(?!\s)[^$\n]+?\$|\\\([\s\S]*?\\\)/g;
+const INLINE_CODE = /`[^`\n]*`/g;
+const ESM_LINE = /^(import|export)\s[^\n]*$/gm;
+
+// Code blocks and spans, whose contents are never rendered as markdown.
+export function stripCode(body: string): string {
+  return body.replace(FENCED_CODE, ' ').replace(INLINE_CODE, ' ');
+}
+
+// Turns an MDX body into the prose a reader sees: no code, math, JSX or
+// markdown punctuation, whitespace collapsed to single spaces.
+export function stripMarkdown(body: string): string {
+  return body
+    .replace(FENCED_CODE, ' ')
+    .replace(DISPLAY_MATH, ' ')
+    .replace(INLINE_MATH, ' ')
+    .replace(INLINE_CODE, ' ')
+    .replace(ESM_LINE, ' ')
+    .replace(
+      WIKI_LINK,
+      (_, target: string, label?: string) => label ?? target.split('/').pop()!.replace(/-/g, ' ')
+    )
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<\/?[A-Za-z][^>]*>/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/(\*{1,3}|~~)(\S(?:[^\n]*?\S)?)\1/g, '$2')
+    .replace(/(^|\W)_{1,3}(\S(?:[^\n]*?\S)?)_{1,3}(?!\w)/g, '$1$2')
+    .replace(/\\([\\`*_{}[\]()#+\-.!$])/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,64 @@
+import { withBase } from './urls';
+
+// Number of posts on each space, tag and archive listing page.
+export const POSTS_PER_PAGE = 5;
+
+export interface Page<T> {
+  items: T[];
+  // 1-based page number.
+  current: number;
+  total: number;
+  // Total number of items across all pages.
+  count: number;
+  href: string;
+  prev?: string;
+  next?: string;
+}
+
+// The first page lives at the listing's own URL, later ones under /page/N.
+export function pageHref(basePath: string, page: number): string {
+  return withBase(page === 1 ? basePath : `${basePath}/page/${page}`);
+}
+
+// Value of a `[...page]` rest parameter: none for the first page, "page/N" after.
+export function pageParam(page: number): string | undefined {
+  return page === 1 ? undefined : `page/${page}`;
+}
+
+// Splits `items` into pages for the listing at site-relative `basePath`.
+// Always returns at least one (possibly empty) page.
+export function paginate<T>(items: T[], basePath: string, pageSize = POSTS_PER_PAGE): Page<T>[] {
+  const total = Math.max(1, Math.ceil(items.length / pageSize));
+
+  return Array.from({ length: total }, (_, i) => {
+    const current = i + 1;
+
+    return {
+      items: items.slice(i * pageSize, current * pageSize),
+      current,
+      total,
+      count: items.length,
+      href: pageHref(basePath, current),
+      prev: current > 1 ? pageHref(basePath, current - 1) : undefined,
+      next: current < total ? pageHref(basePath, current + 1) : undefined,
+    };
+  });
+}
+
+// Page numbers to show in the navigation: the first and last page, plus
+// `siblings` pages either side of the current one. Gaps are `null`.
+export function getPageNumbers(current: number, total: number, siblings = 1): (number | null)[] {
+  const numbers: (number | null)[] = [];
+
+  for (let page = 1; page <= total; page++) {
+    const nearCurrent = Math.abs(page - current) <= siblings;
+
+    if (page === 1 || page === total || nearCurrent) {
+      numbers.push(page);
+    } else if (numbers[numbers.length - 1] !== null) {
+      numbers.push(null);
+    }
+  }
+
+  return numbers;
+}
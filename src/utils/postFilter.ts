@@ -0,0 +1,83 @@
+// Tag filtering and sorting for post listings. Runs in the browser (see
+// PostFilters.astro); the state lives in the URL query, e.g.
+// ?tags=math,optimization&match=all&sort=title
+
+export type TagMatch = 'any' | 'all';
+export type PostSort = 'date' | 'title' | 'reading';
+
+export interface PostFilterState {
+  tags: string[];
+  match: TagMatch;
+  sort: PostSort;
+}
+
+export interface FilterablePost {
+  tags: string[];
+  title: string;
+  // Milliseconds since the epoch.
+  date: number;
+  // Reading time in minutes.
+  minutes: number;
+}
+
+export const DEFAULT_FILTER_STATE: PostFilterState = { tags: [], match: 'any', sort: 'date' };
+
+const MATCHES: TagMatch[] = ['any', 'all'];
+const SORTS: PostSort[] = ['date', 'title', 'reading'];
+
+export function parseFilterQuery(search: string): PostFilterState {
+  const params = new URLSearchParams(search);
+  const match = params.get('match') as TagMatch;
+  const sort = params.get('sort') as PostSort;
+
+  return {
+    tags: (params.get('tags') || '').split(',').filter(Boolean),
+    match: MATCHES.includes(match) ? match : DEFAULT_FILTER_STATE.match,
+    sort: SORTS.includes(sort) ? sort : DEFAULT_FILTER_STATE.sort,
+  };
+}
+
+// Query string for `state` ("" when nothing differs from the defaults), with
+// the other parameters of `search` kept.
+export function toFilterQuery(state: PostFilterState, search = ''): string {
+  const params = new URLSearchParams(search);
+  const set = (key: string, value: string, fallback: string) =>
+    value && value !== fallback ? params.set(key, value) : params.delete(key);
+
+  set('tags', state.tags.join(','), '');
+  set('match', state.tags.length > 1 ? state.match : '', DEFAULT_FILTER_STATE.match);
+  set('sort', state.sort, DEFAULT_FILTER_STATE.sort);
+
+  const query = params.toString().replace(/%2C/g, ',');
+  return query ? `?${query}` : '';
+}
+
+export function isFiltering(state: PostFilterState): boolean {
+  return state.tags.length > 0 || state.sort !== DEFAULT_FILTER_STATE.sort;
+}
+
+export function matchesTags(tags: string[], state: PostFilterState): boolean {
+  if (state.tags.length === 0) return true;
+  return state.match === 'all'
+    ? state.tags.every((tag) => tags.includes(tag))
+    : state.tags.some((tag) => tags.includes(tag));
+}
+
+// Newest first, A to Z, or shortest read first. Ties keep the newest first.
+export function sortPosts<T extends FilterablePost>(posts: T[], sort: PostSort): T[] {
+  const byDate = (a: T, b: T) => b.date - a.date;
+  const compare: Record<PostSort, (a: T, b: T) => number> = {
+    date: byDate,
+    title: (a, b) => a.title.localeCompare(b.title) || byDate(a, b),
+    reading: (a, b) => a.minutes - b.minutes || byDate(a, b),
+  };
+
+  return [...posts].sort(compare[sort]);
+}
+
+export function filterPosts<T extends FilterablePost>(posts: T[], state: PostFilterState): T[] {
+  return sortPosts(
+    posts.filter((post) => matchesTags(post.tags, state)),
+    state.sort
+  );
+}
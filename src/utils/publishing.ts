@@ -0,0 +1,26 @@
+import type { CollectionEntry } from 'astro:content';
+
+export type PublicationStatus = 'published' | 'draft' | 'scheduled' | 'expired';
+
+type PostData = Pick<CollectionEntry<'blog'>['data'], 'date' | 'draft' | 'publishDate' | 'expires'>;
+
+// A post goes live at its publishDate (or its date when there is none) and
+// comes down at its expiry date. Pages are static, so "now" is the build time:
+// scheduled posts appear with the first build after they are due.
+export function getPublicationStatus(data: PostData, now = new Date()): PublicationStatus {
+  if (data.draft) return 'draft';
+  if ((data.publishDate || data.date) > now) return 'scheduled';
+  if (data.expires && data.expires <= now) return 'expired';
+  return 'published';
+}
+
+export function isPublished(data: PostData, now = new Date()): boolean {
+  return getPublicationStatus(data, now) === 'published';
+}
+
+// `astro dev` shows every post so drafts can be previewed; builds only
+// include published ones. MODE follows the Astro command, while DEV is also
+// true for a build run with NODE_ENV=test (e.g. from the test suite).
+export function isVisible({ data }: { data: PostData }): boolean {
+  return import.meta.env.MODE === 'development' || isPublished(data);
+}
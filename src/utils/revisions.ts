@@ -0,0 +1,33 @@
+import type { CollectionEntry } from 'astro:content';
+import path from 'path';
+import { getGitHistory, getLastModified } from '../plugins/git-history.mjs';
+
+export interface Revision {
+  hash: string;
+  date: Date;
+  // Subject line of the commit.
+  message: string;
+}
+
+type Post = Pick<CollectionEntry<'blog'>, 'id' | 'collection' | 'data'>;
+
+// Builds run from the project root.
+function getPostFile(post: Post): string {
+  return path.join(process.cwd(), 'src/content', post.collection, post.id);
+}
+
+// Commits that touched the post's file, newest first.
+export function getPostRevisions(post: Post): Revision[] {
+  return getGitHistory(getPostFile(post));
+}
+
+// The `updated` frontmatter date, else the date of the last commit, else `date`.
+export function getPostLastModified(post: Post): Date {
+  const { date, updated } = post.data;
+  return getLastModified({ date, updated }, getPostRevisions(post));
+}
+
+// Whether the post changed on a later day than it was published.
+export function isUpdated(date: Date, lastModified: Date): boolean {
+  return lastModified.toISOString().slice(0, 10) > date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,160 @@
+export interface SearchDocument {
+  slug: string;
+  // Link to the post, with the base path.
+  url: string;
+  title: string;
+  description: string;
+  tags: string[];
+  space: string;
+  spaceTitle: string;
+  // The post's space and all of its ancestors, so filtering by a parent
+  // space also matches posts from its sub-spaces.
+  spaces: string[];
+  date: string;
+  text: string;
+  // Prose word count and reading time, see contentStats.ts.
+  words: number;
+  minutes: number;
+}
+
+export interface SearchFilters {
+  space?: string;
+  tag?: string;
+}
+
+export interface SearchResult {
+  doc: SearchDocument;
+  score: number;
+  terms: string[];
+}
+
+const FIELD_WEIGHTS = {
+  title: 10,
+  tags: 6,
+  description: 4,
+  spaceTitle: 3,
+  text: 1,
+} as const;
+
+type Field = keyof typeof FIELD_WEIGHTS;
+
+// A prefix match is worth less than matching the whole word.
+const PREFIX_FACTOR = 0.5;
+
+export function tokenize(text: string): string[] {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function fieldText(doc: SearchDocument, field: Field): string {
+  return field === 'tags' ? doc.tags.join(' ') : doc[field];
+}
+
+function scoreField(tokens: string[], term: string, isLastTerm: boolean): number {
+  let score = 0;
+
+  for (const token of tokens) {
+    if (token === term) {
+      score += 1;
+    } else if (isLastTerm && token.startsWith(term)) {
+      // Only the word still being typed is completed as a prefix.
+      score += PREFIX_FACTOR;
+    }
+  }
+
+  // Diminishing returns so long bodies don't drown out a title hit.
+  return score > 0 ? 1 + Math.log(score) : 0;
+}
+
+export function matchesFilters(doc: SearchDocument, filters: SearchFilters = {}): boolean {
+  if (filters.space && !doc.spaces.includes(filters.space)) return false;
+  if (filters.tag && !doc.tags.includes(filters.tag)) return false;
+  return true;
+}
+
+export function search(
+  docs: SearchDocument[],
+  query: string,
+  filters: SearchFilters = {}
+): SearchResult[] {
+  const terms = tokenize(query);
+  const candidates = docs.filter((doc) => matchesFilters(doc, filters));
+
+  if (terms.length === 0) {
+    return candidates.map((doc) => ({ doc, score: 0, terms }));
+  }
+
+  const fields = Object.keys(FIELD_WEIGHTS) as Field[];
+  const results: SearchResult[] = [];
+
+  for (const doc of candidates) {
+    const fieldTokens = fields.map((field) => tokenize(fieldText(doc, field)));
+    let score = 0;
+    let matchedAll = true;
+
+    terms.forEach((term, i) => {
+      const isLastTerm = i === terms.length - 1;
+      let termScore = 0;
+
+      fields.forEach((field, f) => {
+        termScore += FIELD_WEIGHTS[field] * scoreField(fieldTokens[f], term, isLastTerm);
+      });
+
+      if (termScore === 0) matchedAll = false;
+      score += termScore;
+    });
+
+    // Every term has to appear somewhere in the post.
+    if (matchedAll) {
+      results.push({ doc, score, terms });
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score || b.doc.date.localeCompare(a.doc.date));
+}
+
+export function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function highlight(text: string, terms: string[]): string {
+  if (terms.length === 0) return escapeHtml(text);
+
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})`, 'giu');
+
+  return text
+    .split(pattern)
+    .map((part, i) => (i % 3 === 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+// A window of body text around the first matched term, as highlighted HTML.
+export function makeSnippet(text: string, terms: string[], length = 160): string {
+  const lower = text.toLowerCase();
+  const hits = terms.map((term) => lower.indexOf(term)).filter((index) => index >= 0);
+  const first = hits.length > 0 ? Math.min(...hits) : 0;
+
+  let start = Math.max(0, first - Math.floor(length / 3));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space >= 0 && space < first ? space + 1 : start;
+  }
+  const end = Math.min(text.length, start + length);
+
+  const prefix = start > 0 ? '… ' : '';
+  const suffix = end < text.length ? ' …' : '';
+
+  return prefix + highlight(text.slice(start, end), terms) + suffix;
+}
@@ -0,0 +1,83 @@
+import type { CollectionEntry } from 'astro:content';
+
+type Post = CollectionEntry<'blog'>;
+
+export interface Series {
+  name: string;
+  slug: string;
+  // Parts in reading order.
+  posts: Post[];
+}
+
+export interface AdjacentPosts {
+  prevPost: Post | null;
+  nextPost: Post | null;
+}
+
+// FNV-1a, as a short base-36 string.
+function hashName(name: string): string {
+  let hash = 0x811c9dc5;
+  for (const char of name) {
+    hash ^= char.codePointAt(0)!;
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+// "Training Neural Networks" -> "training-neural-networks". Names without
+// Latin letters or digits, e.g. "Нейросети", get a stable "series-<hash>".
+export function getSeriesSlug(name: string): string {
+  const slug = name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return slug || `series-${hashName(name.trim())}`;
+}
+
+function byDate(a: Post, b: Post): number {
+  return a.data.date.getTime() - b.data.date.getTime();
+}
+
+// Parts with a seriesOrder come first, in that order; the rest by date.
+function bySeriesOrder(a: Post, b: Post): number {
+  const orderA = a.data.seriesOrder ?? Infinity;
+  const orderB = b.data.seriesOrder ?? Infinity;
+  return orderA === orderB ? byDate(a, b) : orderA - orderB;
+}
+
+export function groupPostsBySeries(posts: Post[]): Series[] {
+  const series = new Map<string, Series>();
+
+  for (const post of posts) {
+    const name = post.data.series;
+    if (!name) continue;
+
+    const slug = getSeriesSlug(name);
+    if (!series.has(slug)) series.set(slug, { name, slug, posts: [] });
+    series.get(slug)!.posts.push(post);
+  }
+
+  return [...series.values()]
+    .map((s) => ({ ...s, posts: s.posts.sort(bySeriesOrder) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Neighbours for prev/next navigation: the previous and next part of the
+// post's series, or the older and newer post in the same space outside any
+// series. Parts only link within their series, so other posts skip them too.
+export function getAdjacentPosts(post: Post, posts: Post[]): AdjacentPosts {
+  const seriesName = post.data.series;
+  const neighbours = seriesName
+    ? posts
+        .filter((p) => p.data.series && getSeriesSlug(p.data.series) === getSeriesSlug(seriesName))
+        .sort(bySeriesOrder)
+    : posts.filter((p) => !p.data.series && p.data.space === post.data.space).sort(byDate);
+  const index = neighbours.findIndex((p) => p.id === post.id && p.collection === post.collection);
+
+  return {
+    prevPost: index > 0 ? neighbours[index - 1] : null,
+    nextPost: index >= 0 && index < neighbours.length - 1 ? neighbours[index + 1] : null,
+  };
+}
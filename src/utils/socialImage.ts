@@ -0,0 +1,139 @@
+import sharp from 'sharp';
+import type { CollectionEntry } from 'astro:content';
+import site from '../site.json';
+import { getSpace, getSpacePath } from './spaces';
+import { absoluteUrl } from './urls';
+
+export const SOCIAL_IMAGE_WIDTH = 1200;
+export const SOCIAL_IMAGE_HEIGHT = 630;
+
+// Used by every page that has no card of its own.
+export const DEFAULT_SOCIAL_IMAGE = '/og.png';
+
+const TITLE_CHARS_PER_LINE = 28;
+const TITLE_MAX_LINES = 3;
+const MAX_TAGS = 5;
+
+export interface SocialCard {
+  title: string;
+  // Small line above the title, shown next to the icon.
+  label: string;
+  icon: string;
+  subtitle?: string;
+  tags?: string[];
+}
+
+export function getPostImagePath(slug: string): string {
+  return `/posts/${slug}/og.png`;
+}
+
+export function getSpaceImagePath(spaceId: string): string {
+  return `/spaces/${getSpacePath(spaceId)}/og.png`;
+}
+
+// Frontmatter images may be full URLs or site-relative paths ("/images/x.png").
+export function resolveImageUrl(image: string, siteUrl: URL | string): string {
+  return /^https?:\/\//.test(image) ? image : absoluteUrl(image, siteUrl);
+}
+
+export function getPostCard(post: CollectionEntry<'blog'>): SocialCard {
+  const space = getSpace(post.data.space);
+
+  return {
+    title: post.data.title,
+    label: space?.title || post.data.space,
+    icon: space?.icon || site.icon,
+    tags: post.data.tags,
+  };
+}
+
+export function getSpaceCard(spaceId: string): SocialCard {
+  const space = getSpace(spaceId);
+  const parent = getSpace(space?.parent || '');
+
+  return {
+    title: space?.title || spaceId,
+    label: parent?.title || site.name,
+    icon: space?.icon || site.icon,
+    subtitle: space?.description,
+  };
+}
+
+export function getSiteCard(): SocialCard {
+  return { title: site.name, label: site.name, icon: site.icon, subtitle: site.description };
+}
+
+// Greedy word wrap. Text beyond `maxLines` is cut and ends in an ellipsis.
+export function wrapText(text: string, maxChars: number, maxLines: number): string[] {
+  const lines: string[] = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  if (lines.length <= maxLines) return lines;
+
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 1).trimEnd()}…`;
+  return kept;
+}
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// sharp renders the SVG with librsvg, which draws text (and emoji icons) with
+// whatever fonts the build machine has installed.
+export function socialImageSvg(card: SocialCard): string {
+  const titleLines = wrapText(card.title, TITLE_CHARS_PER_LINE, TITLE_MAX_LINES);
+  const subtitleTop = 250 + titleLines.length * 84;
+  const tags = (card.tags || []).slice(0, MAX_TAGS).map((tag) => `#${tag}`);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${SOCIAL_IMAGE_WIDTH}" height="${SOCIAL_IMAGE_HEIGHT}" viewBox="0 0 ${SOCIAL_IMAGE_WIDTH} ${SOCIAL_IMAGE_HEIGHT}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="#0f172a"/>
+      <stop offset="1" stop-color="#312e81"/>
+    </linearGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#bg)"/>
+  <rect width="16" height="100%" fill="#3b82f6"/>
+  <g font-family="Inter, Helvetica, Arial, sans-serif" fill="#f8fafc">
+    <text x="80" y="130" font-size="56">${escapeXml(card.icon)}</text>
+    <text x="160" y="122" font-size="34" font-weight="600" fill="#93c5fd">${escapeXml(card.label)}</text>
+    ${titleLines
+      .map(
+        (line, i) =>
+          `<text x="80" y="${250 + i * 84}" font-size="68" font-weight="700">${escapeXml(line)}</text>`
+      )
+      .join('\n    ')}
+    ${
+      card.subtitle
+        ? `<text x="80" y="${subtitleTop}" font-size="30" fill="#cbd5e1">${escapeXml(
+            wrapText(card.subtitle, 60, 1)[0]
+          )}</text>`
+        : ''
+    }
+    ${tags.length ? `<text x="80" y="550" font-size="30" fill="#f9a8d4">${escapeXml(tags.join('   '))}</text>` : ''}
+    <text x="1120" y="550" font-size="30" font-weight="700" text-anchor="end">${escapeXml(site.name)}</text>
+  </g>
+</svg>`;
+}
+
+export async function socialImageResponse(card: SocialCard): Promise<Response> {
+  const png = await sharp(Buffer.from(socialImageSvg(card)))
+    .png()
+    .toBuffer();
+
+  return new Response(new Uint8Array(png), { headers: { 'Content-Type': 'image/png' } });
+}
@@ -0,0 +1,122 @@
+import fs from 'fs';
+import spacesData from '../spaces.json';
+
+export interface Space {
+  id: string;
+  title: string;
+  description: string;
+  banner: string;
+  icon: string;
+  parent?: string;
+}
+
+// spaces.json is the only place a space is declared. Collections, routes and
+// titles are all derived from this list.
+export const spaces: Space[] = spacesData;
+
+export const spaceIds: string[] = spaces.map((space) => space.id);
+
+export function getSpace(spaceId: string): Space | undefined {
+  return spaces.find((space) => space.id === spaceId);
+}
+
+export function isSpaceId(spaceId: string): boolean {
+  return spaceIds.includes(spaceId);
+}
+
+export function getSpaceTitle(spaceId: string): string {
+  return getSpace(spaceId)?.title || spaceId;
+}
+
+export function getTopLevelSpaces(): Space[] {
+  return spaces.filter((space) => !space.parent);
+}
+
+export function getChildSpaces(spaceId: string): Space[] {
+  return spaces.filter((space) => space.parent === spaceId);
+}
+
+// Ancestors ordered from the top-level space down to the direct parent.
+export function getSpaceAncestors(spaceId: string): Space[] {
+  const ancestors: Space[] = [];
+  let parent = getSpace(spaceId)?.parent;
+
+  while (parent && !ancestors.some((space) => space.id === parent)) {
+    const parentSpace = getSpace(parent);
+    if (!parentSpace) break;
+    ancestors.unshift(parentSpace);
+    parent = parentSpace.parent;
+  }
+
+  return ancestors;
+}
+
+// The space itself plus every space nested below it, at any depth.
+export function getSpaceDescendantIds(spaceId: string): string[] {
+  const ids = [spaceId];
+
+  for (let i = 0; i < ids.length; i++) {
+    for (const child of getChildSpaces(ids[i])) {
+      if (!ids.includes(child.id)) ids.push(child.id);
+    }
+  }
+
+  return ids;
+}
+
+// URL path below /spaces, e.g. "ml/optimization" for a child of "ml".
+export function getSpacePath(spaceId: string): string {
+  return [...getSpaceAncestors(spaceId).map((space) => space.id), spaceId].join('/');
+}
+
+export function getSpaceStaticPaths() {
+  return spaces.map((space) => ({
+    params: { space: getSpacePath(space.id) },
+    props: { spaceData: space },
+  }));
+}
+
+export function findSpaceRegistryErrors(contentFolders: string[]): string[] {
+  const errors: string[] = [];
+  const seen = new Set<string>();
+
+  for (const space of spaces) {
+    if (seen.has(space.id)) {
+      errors.push(`Space "${space.id}" is declared more than once in spaces.json`);
+    }
+    seen.add(space.id);
+
+    if (space.parent && !getSpace(space.parent)) {
+      errors.push(`Space "${space.id}" has unknown parent "${space.parent}"`);
+    } else if (space.parent && getSpaceAncestors(space.id).some((a) => a.id === space.id)) {
+      errors.push(`Space "${space.id}" is its own ancestor`);
+    }
+
+    if (!contentFolders.includes(space.id)) {
+      errors.push(`Space "${space.id}" has no content folder at src/content/${space.id}/`);
+    }
+  }
+
+  for (const folder of contentFolders) {
+    if (!seen.has(folder)) {
+      errors.push(`Content folder src/content/${folder}/ has no entry in spaces.json`);
+    }
+  }
+
+  return errors;
+}
+
+export function getContentFolders(contentDir: string): string[] {
+  return fs
+    .readdirSync(contentDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && !entry.name.startsWith('_'))
+    .map((entry) => entry.name);
+}
+
+export function assertSpaceRegistry(contentDir: string) {
+  const errors = findSpaceRegistryErrors(getContentFolders(contentDir));
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid space registry:\n  - ${errors.join('\n  - ')}`);
+  }
+}
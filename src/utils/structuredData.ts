@@ -0,0 +1,99 @@
+import type { CollectionEntry } from 'astro:content';
+import site from '../site.json';
+import type { Breadcrumb } from './breadcrumbs';
+import { getSpaceTitle } from './spaces';
+import { canonicalUrl, withBase } from './urls';
+import { getPostPath } from './i18n';
+
+// A schema.org JSON-LD object, rendered by BaseLayout.
+export type JsonLd = Record<string, unknown>;
+
+const CONTEXT = 'https://schema.org';
+
+export interface BlogPostingOptions {
+  title: string;
+  description: string;
+  date: Date;
+  // Last-modified date, `date` when not given.
+  updated?: Date;
+  tags: string[];
+  space: string;
+  url: string;
+  image: string;
+  // BCP 47 language tag.
+  lang: string;
+  authors: { name: string; url: string }[];
+}
+
+export function blogPostingJsonLd(post: BlogPostingOptions): JsonLd {
+  return {
+    '@context': CONTEXT,
+    '@type': 'BlogPosting',
+    headline: post.title,
+    description: post.description,
+    datePublished: post.date.toISOString(),
+    dateModified: (post.updated ?? post.date).toISOString(),
+    keywords: post.tags.join(', '),
+    articleSection: getSpaceTitle(post.space),
+    url: post.url,
+    mainEntityOfPage: post.url,
+    image: post.image,
+    inLanguage: post.lang,
+    author: post.authors.map((author) => ({ '@type': 'Person', ...author })),
+    publisher: { '@type': 'Organization', name: site.name },
+  };
+}
+
+export interface CollectionPageOptions {
+  title: string;
+  description: string;
+  url: string;
+  posts: CollectionEntry<'blog'>[];
+  // Position of the first post, for later pages of a paginated listing.
+  start?: number;
+}
+
+export function collectionPageJsonLd(page: CollectionPageOptions, siteUrl: URL | string): JsonLd {
+  const start = page.start ?? 1;
+
+  return {
+    '@context': CONTEXT,
+    '@type': 'CollectionPage',
+    name: page.title,
+    description: page.description,
+    url: page.url,
+    mainEntity: {
+      '@type': 'ItemList',
+      itemListElement: page.posts.map((post, i) => ({
+        '@type': 'ListItem',
+        position: start + i,
+        url: canonicalUrl(withBase(getPostPath(post)), siteUrl),
+        name: post.data.title,
+      })),
+    },
+  };
+}
+
+// Breadcrumb hrefs already carry the base path. The current page ("#") is
+// linked to `pageUrl`.
+export function breadcrumbListJsonLd(
+  breadcrumbs: Breadcrumb[],
+  pageUrl: string,
+  siteUrl: URL | string
+): JsonLd {
+  return {
+    '@context': CONTEXT,
+    '@type': 'BreadcrumbList',
+    itemListElement: breadcrumbs.map((crumb, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      name: crumb.label,
+      item: crumb.href === '#' ? pageUrl : canonicalUrl(crumb.href, siteUrl),
+    })),
+  };
+}
+
+// JSON for a <script> element: "<" is escaped so a title can't close the tag.
+export function serializeJsonLd(data: JsonLd): string {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
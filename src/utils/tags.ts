@@ -0,0 +1,135 @@
+import type { CollectionEntry } from 'astro:content';
+import tagsData from '../tags.json';
+import { createTagNormalizer } from '../plugins/tag-aliases.mjs';
+
+export interface TagDefinition {
+  id: string;
+  description: string;
+  parent?: string;
+  // Other spellings that are rewritten to `id` when content is loaded.
+  aliases?: string[];
+}
+
+export interface TagCount {
+  tag: string;
+  count: number;
+}
+
+// tags.json is the taxonomy of canonical tags. Posts may still use tags that
+// are not listed there; they just have no description or parent.
+export const tagDefinitions: TagDefinition[] = tagsData;
+
+export function getTagDefinition(tag: string): TagDefinition | undefined {
+  return tagDefinitions.find((definition) => definition.id === tag);
+}
+
+// "Machine-Learning" -> "ml" when "machine-learning" is an alias of "ml".
+export const normalizeTag: (tag: string) => string = createTagNormalizer(tagDefinitions);
+
+// Normalizes every tag and drops the duplicates that aliasing can create.
+export function normalizeTags(tags: string[]): string[] {
+  return [...new Set(tags.map(normalizeTag))];
+}
+
+export function getParentTag(tag: string): string | undefined {
+  return getTagDefinition(tag)?.parent;
+}
+
+export function getChildTags(tag: string): string[] {
+  return tagDefinitions.filter((definition) => definition.parent === tag).map((d) => d.id);
+}
+
+// Ancestors ordered from the top-level tag down to the direct parent.
+export function getTagAncestors(tag: string): string[] {
+  const ancestors: string[] = [];
+  let parent = getParentTag(tag);
+
+  while (parent && !ancestors.includes(parent)) {
+    ancestors.unshift(parent);
+    parent = getParentTag(parent);
+  }
+
+  return ancestors;
+}
+
+export function findTagRegistryErrors(): string[] {
+  const errors: string[] = [];
+  const seen = new Set<string>();
+  const aliasOwners = new Map<string, string>();
+
+  for (const tag of tagDefinitions) {
+    if (seen.has(tag.id)) {
+      errors.push(`Tag "${tag.id}" is declared more than once in tags.json`);
+    }
+    seen.add(tag.id);
+
+    if (tag.parent && !getTagDefinition(tag.parent)) {
+      errors.push(`Tag "${tag.id}" has unknown parent "${tag.parent}"`);
+    } else if (tag.parent && getTagAncestors(tag.id).includes(tag.id)) {
+      errors.push(`Tag "${tag.id}" is its own ancestor`);
+    }
+
+    for (const alias of tag.aliases || []) {
+      const owner = aliasOwners.get(alias);
+      if (owner) {
+        errors.push(`Alias "${alias}" is claimed by both "${owner}" and "${tag.id}"`);
+      }
+      aliasOwners.set(alias, tag.id);
+    }
+  }
+
+  for (const [alias, owner] of aliasOwners) {
+    if (seen.has(alias)) {
+      errors.push(`Alias "${alias}" of "${owner}" is also a tag of its own`);
+    }
+  }
+
+  return errors;
+}
+
+export function assertTagRegistry() {
+  const errors = findTagRegistryErrors();
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid tag registry:\n  - ${errors.join('\n  - ')}`);
+  }
+}
+
+export function countTags(posts: CollectionEntry<'blog'>[]): TagCount[] {
+  const counts = new Map<string, number>();
+
+  posts.forEach((post) => {
+    post.data.tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+// Size class (1 to `levels`) for a tag cloud entry. Counts are compared on a
+// log scale so one very common tag doesn't shrink all the others.
+export function getTagCloudLevel(count: number, min: number, max: number, levels = 5): number {
+  if (max <= min) return Math.ceil(levels / 2);
+
+  const share = (Math.log(count) - Math.log(min)) / (Math.log(max) - Math.log(min));
+  return 1 + Math.round(share * (levels - 1));
+}
+
+// Tags that appear on the same posts as `tag`, most shared first.
+export function getRelatedTags(tag: string, posts: CollectionEntry<'blog'>[], limit = 6): string[] {
+  const shared = new Map<string, number>();
+
+  posts
+    .filter((post) => post.data.tags.includes(tag))
+    .forEach((post) => {
+      post.data.tags.forEach((other) => {
+        if (other !== tag) shared.set(other, (shared.get(other) || 0) + 1);
+      });
+    });
+
+  return [...shared]
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .slice(0, limit)
+    .map(([other]) => other);
+}
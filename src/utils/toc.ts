@@ -0,0 +1,38 @@
+import type { MarkdownHeading } from 'astro';
+
+export interface TocItem {
+  depth: number;
+  slug: string;
+  text: string;
+  children: TocItem[];
+}
+
+// Deepest heading level listed when frontmatter doesn't set `toc`.
+export const DEFAULT_TOC_DEPTH = 3;
+
+// Resolves the `toc` frontmatter field to a maximum heading depth, or 0 when
+// the table of contents is turned off.
+export function getTocDepth(toc: boolean | number | undefined): number {
+  if (toc === false) return 0;
+  return typeof toc === 'number' ? toc : DEFAULT_TOC_DEPTH;
+}
+
+// Nests the rendered headings from h2 down to `maxDepth`. The h1 repeats the
+// post title, so it's left out.
+export function buildToc(headings: MarkdownHeading[], maxDepth = DEFAULT_TOC_DEPTH): TocItem[] {
+  const root: TocItem[] = [];
+  const stack: TocItem[] = [];
+
+  for (const heading of headings) {
+    if (heading.depth < 2 || heading.depth > maxDepth) continue;
+
+    const item: TocItem = { ...heading, children: [] };
+    while (stack.length > 0 && stack[stack.length - 1].depth >= item.depth) stack.pop();
+
+    const parent = stack[stack.length - 1];
+    (parent ? parent.children : root).push(item);
+    stack.push(item);
+  }
+
+  return root;
+}
@@ -0,0 +1,16 @@
+// Prefixes a site-relative path ("/posts/foo") with the configured base.
+export function withBase(path: string): string {
+  return `${import.meta.env.BASE_URL.replace(/\/$/, '')}${path}`;
+}
+
+// Canonical URL of a page from its pathname (which already includes the base),
+// with the trailing slash the sitemap uses.
+export function canonicalUrl(pathname: string, site: URL | string): string {
+  return new URL(pathname.replace(/\/?$/, '/'), new URL(site).origin).href;
+}
+
+// Absolute URL for a site-relative path. `site` may itself carry the base
+// path, so only its origin is used.
+export function absoluteUrl(path: string, site: URL | string): string {
+  return new URL(withBase(path), new URL(site).origin).href;
+}
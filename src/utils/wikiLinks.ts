@@ -0,0 +1,31 @@
+import type { CollectionEntry } from 'astro:content';
+import { WIKI_LINK, parseWikiLink } from '../plugins/remark-wiki-links.mjs';
+import { stripCode } from './markdown';
+
+type Post = CollectionEntry<'blog'>;
+
+export interface WikiLink {
+  space?: string;
+  slug: string;
+  label?: string;
+}
+
+// The [[...]] links written in an MDX body, outside code.
+export function getWikiLinks(body: string): WikiLink[] {
+  return [...stripCode(body).matchAll(WIKI_LINK)].map(([, target, label]) =>
+    parseWikiLink(target, label)
+  );
+}
+
+export function linksTo(link: WikiLink, post: Post): boolean {
+  return link.slug === post.slug && (!link.space || link.space === post.collection);
+}
+
+// Posts from any space whose body links to `post`, in the order given.
+export function findBacklinks(post: Post, posts: Post[]): Post[] {
+  return posts.filter(
+    (other) =>
+      !(other.id === post.id && other.collection === post.collection) &&
+      getWikiLinks(other.body || '').some((link) => linksTo(link, post))
+  );
+}
@@ -5,9 +5,21 @@
 
 import { describe, it, expect } from 'vitest';
 import { getCollection } from 'astro:content';
+import { spawnSync } from 'child_process';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getPublicationStatus } from '../src/utils/publishing';
+import { fixPost, lintPost, loadContext } from '../scripts/lint-content.mjs';
+import {
+  findPost,
+  getTagVocabulary,
+  getTemplate,
+  normalizeTag,
+  renderPost,
+  slugify,
+} from '../scripts/new-post.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,11 +28,11 @@ const __dirname = path.dirname(__filename);
 const spacesPath = path.join(__dirname, '../src/spaces.json');
 const spaces = JSON.parse(fs.readFileSync(spacesPath, 'utf-8'));
 const validSpaceIds = spaces.map(s => s.id);
+// Every space is a content collection.
+const collections = validSpaceIds;
 
 describe('MDX Content Validation', () => {
   describe('1.1 - Required frontmatter fields', async () => {
-    const collections = ['blog', 'ml', 'transformers', 'web', 'notes'];
-    
     for (const collectionName of collections) {
       it(`${collectionName}: all posts have required frontmatter fields`, async () => {
         const posts = await getCollection(collectionName);
@@ -52,8 +64,6 @@ describe('MDX Content Validation', () => {
   });
 
   describe('1.2 - Validate space exists in spaces.json', async () => {
-    const collections = ['blog', 'ml', 'transformers', 'web', 'notes'];
-    
     for (const collectionName of collections) {
       it(`${collectionName}: all posts reference valid spaces`, async () => {
         const posts = await getCollection(collectionName);
@@ -71,7 +81,6 @@ describe('MDX Content Validation', () => {
 
   describe('1.3 - Validate slug uniqueness', async () => {
     it('no duplicate slugs across all collections', async () => {
-      const collections = ['blog', 'ml', 'transformers', 'web', 'notes'];
       const allSlugs = new Map();
       
       for (const collectionName of collections) {
@@ -95,8 +104,6 @@ describe('MDX Content Validation', () => {
   });
 
   describe('1.4 - Validate MDX syntax', async () => {
-    const collections = ['blog', 'ml', 'transformers', 'web', 'notes'];
-    
     for (const collectionName of collections) {
       it(`${collectionName}: all MDX files have valid syntax`, async () => {
         const posts = await getCollection(collectionName);
@@ -114,28 +121,34 @@ describe('MDX Content Validation', () => {
   });
 
   describe('Additional - Date validation', async () => {
-    const collections = ['blog', 'ml', 'transformers', 'web', 'notes'];
-    
     for (const collectionName of collections) {
-      it(`${collectionName}: dates are valid and not in future`, async () => {
+      it(`${collectionName}: dates are valid`, async () => {
         const posts = await getCollection(collectionName);
-        const now = new Date();
         
         posts.forEach(post => {
-          const { date } = post.data;
+          const { date, publishDate, expires } = post.data;
           
           // Check valid date
           expect(isNaN(date.getTime()), `${post.id}: invalid date`).toBe(false);
           
-          // Optional: warn if date is in future (uncomment if needed)
-          // expect(date <= now, `${post.id}: date is in the future`).toBe(true);
+          // Future dates are fine: the post is scheduled. Schedule dates
+          // must parse, and a post cannot expire before it goes live.
+          if (publishDate) {
+            expect(isNaN(publishDate.getTime()), `${post.id}: invalid publishDate`).toBe(false);
+          }
+          if (expires) {
+            expect(isNaN(expires.getTime()), `${post.id}: invalid expires`).toBe(false);
+            expect(
+              expires > (publishDate || date),
+              `${post.id}: expires before it is published`
+            ).toBe(true);
+          }
         });
       });
     }
   });
 
   describe('Additional - Tag format validation', async () => {
-    const collections = ['blog', 'ml', 'transformers', 'web', 'notes'];
     const tagPattern = /^[a-z0-9]+(-[a-z0-9]+)*$/;
     
     for (const collectionName of collections) {
@@ -155,4 +168,243 @@ describe('MDX Content Validation', () => {
       });
     }
   });
+
+  describe('Additional - Publication state', () => {
+    const now = new Date('2025-06-01');
+    const post = data => ({ date: new Date('2025-01-01'), draft: false, ...data });
+
+    it('published posts are live between their publish and expiry dates', () => {
+      expect(getPublicationStatus(post({}), now)).toBe('published');
+      expect(getPublicationStatus(post({ expires: new Date('2025-12-01') }), now)).toBe('published');
+    });
+
+    it('drafts are never published', () => {
+      expect(getPublicationStatus(post({ draft: true }), now)).toBe('draft');
+    });
+
+    it('future posts are scheduled', () => {
+      expect(getPublicationStatus(post({ date: new Date('2025-07-01') }), now)).toBe('scheduled');
+      expect(getPublicationStatus(post({ publishDate: new Date('2025-07-01') }), now)).toBe(
+        'scheduled'
+      );
+      // publishDate overrides the display date.
+      expect(
+        getPublicationStatus(
+          post({ date: new Date('2025-07-01'), publishDate: new Date('2025-05-01') }),
+          now
+        )
+      ).toBe('published');
+    });
+
+    it('posts past their expiry date are expired', () => {
+      expect(getPublicationStatus(post({ expires: new Date('2025-05-01') }), now)).toBe('expired');
+    });
+  });
+
+  describe('Additional - Series validation', () => {
+    it('parts of a series have distinct seriesOrder values', async () => {
+      const posts = (await Promise.all(validSpaceIds.map(id => getCollection(id)))).flat();
+      const orders = new Map();
+
+      posts.forEach(post => {
+        const { series, seriesOrder } = post.data;
+        if (!series || seriesOrder === undefined) return;
+
+        const key = `${series}#${seriesOrder}`;
+        expect(orders.has(key), `${post.id}: seriesOrder ${seriesOrder} also used by ${orders.get(key)}`).toBe(false);
+        orders.set(key, post.id);
+      });
+    });
+  });
+
+  describe('Additional - Content linter', () => {
+    const contentDir = path.join(__dirname, '../src/content');
+    const context = loadContext(contentDir);
+    const file = space => path.join(contentDir, space, 'example.mdx');
+    const source = (frontmatter, body) =>
+      ['---', 'title: "Example"', 'date: "2025-01-01"', ...frontmatter, '---', '', ...body].join('\n');
+    const lint = (frontmatter, body = [], space = 'ml') =>
+      lintPost(source(frontmatter, body), file(space), context).map(({ line, rule }) => `${line}:${rule}`);
+
+    it('finds no problems in the posts', () => {
+      fs.readdirSync(contentDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(space => {
+          fs.readdirSync(path.join(contentDir, space.name))
+            .filter(name => name.endsWith('.mdx'))
+            .forEach(name => {
+              const post = path.join(contentDir, space.name, name);
+              expect(lintPost(fs.readFileSync(post, 'utf-8'), post, context), name).toEqual([]);
+            });
+        });
+    });
+
+    it('reports a space that disagrees with the folder', () => {
+      expect(lint(['space: "web"'])).toEqual(['4:space']);
+      expect(lint([])).toEqual(['1:space']);
+      expect(lint([], [], 'blog')).toEqual([]);
+    });
+
+    it('reports an H1 that repeats the title', () => {
+      expect(lint(['space: "ml"'], ['# Example', '', 'Text'])).toEqual(['7:duplicate-title']);
+      expect(lint(['space: "ml"'], ['# Something else'])).toEqual([]);
+    });
+
+    it('reports tags missing from tags.json, but accepts aliases', () => {
+      expect(lint(['tags: ["ml", "Machine-Learning", "nope"]', 'space: "ml"'])).toEqual(['4:unknown-tag']);
+    });
+
+    it('reports broken internal links outside of code', () => {
+      const body = [
+        'See [[no-such-post]] and [[web/gradient-descent-explained]].',
+        'Fine: [[gradient-descent-explained]], [x](/Confero/spaces/ml/optimization), [y](/tags/ml).',
+        'Broken: [a](/Confero/posts/missing) and <a href="/spaces/nope">b</a>.',
+        'Translations: [es](/es/posts/getting-started-with-this-blog), [bad](/es/posts/missing).',
+        '```md',
+        '[[example-in-code]]',
+        '```',
+      ];
+
+      expect(lint(['space: "ml"'], body)).toEqual([
+        '7:broken-link',
+        '7:broken-link',
+        '9:broken-link',
+        '9:broken-link',
+        '10:broken-link',
+      ]);
+    });
+
+    it('reports unbalanced math', () => {
+      const body = [
+        'Fine: $x$ and \\$5.',
+        'Odd: $x',
+        '$$',
+        '\\begin{aligned} a',
+        '$$',
+        '$$',
+        'never closed',
+      ];
+
+      expect(lint(['space: "ml"'], body)).toEqual(['8:math', '10:math', '12:math']);
+    });
+
+    it('reports images without alt text', () => {
+      const body = ['![](/a.png) ![A chart](/b.png)', '<img src="/c.png" /> <img src="/d.png" alt="D" />'];
+      expect(lint(['space: "ml"'], body)).toEqual(['7:image-alt', '8:image-alt']);
+    });
+
+    it('--fix sets the space and removes the repeated title', () => {
+      const original = source(['tags: ["ml"]'], ['# Example', '', 'Text']);
+      const fixed = fixPost(original, lintPost(original, file('ml'), context));
+
+      expect(fixed).toBe(source(['tags: ["ml"]', 'space: "ml"'], ['Text']));
+      expect(lintPost(fixed, file('ml'), context)).toEqual([]);
+    });
+
+    it('--fix finds the end of the frontmatter with CRLF or trailing spaces', () => {
+      const crlf = source([], ['Text', '---', 'More']).replace(/\n/g, '\r\n');
+      const spaced = source([], ['Text']).replace('\n---\n', '\n---  \n');
+
+      expect(fixPost(crlf, lintPost(crlf, file('ml'), context))).toBe(
+        source(['space: "ml"'], ['Text', '---', 'More']).replace(/\n/g, '\r\n')
+      );
+      expect(fixPost(spaced, lintPost(spaced, file('ml'), context))).toBe(
+        source(['space: "ml"'], ['Text']).replace('\n---\n', '\n---  \n')
+      );
+    });
+
+    it('reports slugs used in more than one space', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lint-content-'));
+      const post = (space, slug) => {
+        fs.mkdirSync(path.join(dir, space), { recursive: true });
+        fs.writeFileSync(path.join(dir, space, `${slug}.mdx`), source([`space: "${space}"`], []));
+      };
+
+      try {
+        post('ml', 'shared');
+        post('web', 'shared');
+        post('web', 'other');
+        const duplicates = loadContext(dir);
+        const lintIn = (space, slug, body = []) =>
+          lintPost(
+            source([`space: "${space}"`], body),
+            path.join(dir, space, `${slug}.mdx`),
+            duplicates
+          ).map(({ line, rule, message }) => `${line}:${rule}: ${message}`);
+
+        expect(lintIn('ml', 'shared')).toEqual(['1:duplicate-slug: Slug "shared" is also used in "web"']);
+        expect(lintIn('web', 'other', ['[[shared]] and [[ml/shared]]'])).toEqual([
+          '7:broken-link: Wiki link "[[shared]]" is ambiguous: the slug is in "ml", "web"',
+        ]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Additional - Post scaffolding', () => {
+    const contentDir = path.join(__dirname, '../src/content');
+
+    it('slugifies titles', () => {
+      expect(slugify('Attention Is All You Need!')).toBe('attention-is-all-you-need');
+      expect(slugify('  Café: Adam vs. SGD  ')).toBe('cafe-adam-vs-sgd');
+      expect(slugify('???')).toBe('');
+    });
+
+    it('refuses titles that make no slug', () => {
+      const script = path.join(__dirname, '../scripts/new-post.mjs');
+
+      ['???', 'Привет'].forEach(title => {
+        const run = spawnSync('node', [script, '--space', 'ml', '--title', title], {
+          input: '',
+          encoding: 'utf-8',
+        });
+
+        expect(run.status, title).toBe(1);
+        expect(run.stderr).toContain('needs Latin letters or digits');
+      });
+    });
+
+    it('finds slugs already taken in any space', () => {
+      expect(findPost('gradient-descent-explained', contentDir)).toMatch(/gradient-descent-explained\.mdx$/);
+      expect(findPost('no-such-post', contentDir)).toBeUndefined();
+    });
+
+    it('suggests tags from the posts and tags.json, aliases resolved', () => {
+      const vocabulary = getTagVocabulary(contentDir);
+
+      expect(vocabulary).toContain('ml');
+      expect(new Set(vocabulary).size).toBe(vocabulary.length);
+      expect(normalizeTag(' Machine-Learning ')).toBe('ml');
+    });
+
+    it('uses the space template, falling back to the parent and the default', () => {
+      const fallback = getTemplate('no-such-space', spaces);
+
+      expect(getTemplate('transformers', spaces)).toContain('> **Paper:**');
+      expect(getTemplate('optimization', spaces)).toBe(getTemplate('ml', spaces));
+      expect(getTemplate('ml', spaces)).toBe(fallback);
+    });
+
+    it('renders drafts that pass the content linter', () => {
+      const context = loadContext(contentDir);
+
+      spaces.forEach(({ id }) => {
+        const post = renderPost(
+          {
+            title: 'A "Quoted" Title',
+            description: 'Scaffolded: with a colon.',
+            date: '2025-01-01',
+            tags: ['ml', 'math'],
+            space: id,
+          },
+          getTemplate(id, spaces)
+        );
+
+        expect(post).toMatch(/^---\ntitle: "A \\"Quoted\\" Title"\n/);
+        expect(post).toContain('\ndraft: true\n---\n');
+        expect(lintPost(post, path.join(contentDir, id, 'a-quoted-title.mdx'), context), id).toEqual([]);
+      });
+    });
+  });
 });
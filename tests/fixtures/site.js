@@ -0,0 +1,42 @@
+/**
+ * Fixture site: a temporary copy of the project with the posts in
+ * tests/fixtures/content added to src/content, built on its own. Lets tests
+ * cover drafts, scheduled posts and other states without adding fake posts to
+ * the real content.
+ */
+
+import { execSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.join(__dirname, '../..');
+const PROJECT_FILES = ['src', 'public', 'astro.config.mjs', 'tsconfig.json', 'package.json'];
+
+// Each test file runs in its own worker, so this builds once per file.
+let built;
+
+// Builds the fixture site and returns the path of its dist directory.
+export function buildFixtureSite() {
+  if (built) return built;
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'confero-fixtures-'));
+  PROJECT_FILES.forEach(file =>
+    fs.cpSync(path.join(root, file), path.join(dir, file), { recursive: true })
+  );
+  fs.cpSync(path.join(__dirname, 'content'), path.join(dir, 'src/content'), { recursive: true });
+  fs.symlinkSync(path.join(root, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+
+  execSync('npx astro build', { cwd: dir, stdio: 'pipe' });
+  built = path.join(dir, 'dist');
+  return built;
+}
+
+// Removes the fixture site, if one was built.
+export function removeFixtureSite() {
+  if (!built) return;
+  fs.rmSync(path.dirname(built), { recursive: true, force: true });
+  built = undefined;
+}
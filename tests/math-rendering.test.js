@@ -1,13 +1,15 @@
 /**
  * Math Rendering Tests
- * Validates MathJax integration and math symbol rendering
+ * Validates build-time MathJax rendering, equation numbering and references
  */
 
-import { describe, it, expect, beforeAll } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
 import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { rehypeMathRefs } from '../src/plugins/rehype-math-refs.mjs';
+import { buildFixtureSite, removeFixtureSite } from './fixtures/site';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,6 +17,8 @@ const __dirname = path.dirname(__filename);
 const distPath = path.join(__dirname, '../dist');
 
 describe('Math Rendering Tests', () => {
+  afterAll(() => removeFixtureSite());
+
   beforeAll(() => {
     if (!fs.existsSync(distPath)) {
       execSync('npm run build', { 
@@ -24,66 +28,54 @@ describe('Math Rendering Tests', () => {
     }
   });
 
-  describe('MathJax Configuration', () => {
-    it('MathJax script is included in HTML pages', () => {
-      const indexPath = path.join(distPath, 'index.html');
-      const content = fs.readFileSync(indexPath, 'utf-8');
-      
-      expect(
-        content.includes('mathjax') || content.includes('MathJax'),
-        'MathJax script not found in HTML'
-      ).toBe(true);
-    });
+  describe('Build-time Rendering', () => {
+    const postPath = path.join(distPath, 'posts', 'gradient-descent-explained', 'index.html');
 
-    it('MathJax configuration is present', () => {
-      const indexPath = path.join(distPath, 'index.html');
-      const content = fs.readFileSync(indexPath, 'utf-8');
-      
-      // Check for MathJax config object
-      expect(
-        content.includes('window.MathJax') || content.includes('MathJax'),
-        'MathJax configuration not found'
-      ).toBe(true);
+    it('MathJax CDN script is not loaded by default', () => {
+      [path.join(distPath, 'index.html'), postPath].forEach(pagePath => {
+        const content = fs.readFileSync(pagePath, 'utf-8');
+
+        expect(content, `MathJax CDN script on ${pagePath}`).not.toContain('cdn.jsdelivr.net/npm/mathjax');
+        expect(content, `MathJax config on ${pagePath}`).not.toContain('window.MathJax');
+      });
     });
 
-    it('MathJax CDN script is loaded', () => {
-      const indexPath = path.join(distPath, 'index.html');
-      const content = fs.readFileSync(indexPath, 'utf-8');
-      
-      const hasMathJaxCDN = 
-        content.includes('cdn.jsdelivr.net/npm/mathjax') ||
-        content.includes('mathjax') ||
-        content.includes('tex-svg');
-      
-      expect(hasMathJaxCDN, 'MathJax CDN script not loaded').toBe(true);
+    it('math is pre-rendered to SVG', () => {
+      const content = fs.readFileSync(postPath, 'utf-8');
+
+      expect(content).toMatch(/<mjx-container class="MathJax" jax="SVG"[^>]*><svg/);
     });
+
+    it('MathJax client is opt-in per page', () => {
+      // A fixture post with `clientMath: true`, see tests/fixtures/site.js.
+      const content = fs.readFileSync(
+        path.join(buildFixtureSite(), 'posts', 'client-math', 'index.html'),
+        'utf-8'
+      );
+
+      expect(content).toContain('window.MathJax');
+      expect(content).toContain('<script async src="https://cdn.jsdelivr.net/npm/mathjax@3/es5/tex-svg.js">');
+      expect(content).toContain('<p>\\(\\frac{a}{b}\\)</p>');
+    }, 180000);
   });
 
   describe('Math Symbol Support', () => {
-    it('inline math delimiters are configured', () => {
-      const indexPath = path.join(distPath, 'index.html');
-      const content = fs.readFileSync(indexPath, 'utf-8');
-      
-      // Check for inline math configuration
-      const hasInlineMath = 
-        content.includes('inlineMath') ||
-        content.includes('$') ||
-        content.includes('\\(');
-      
-      expect(hasInlineMath, 'inline math delimiters not configured').toBe(true);
+    it('inline math is rendered', () => {
+      const content = fs.readFileSync(
+        path.join(distPath, 'posts', 'gradient-descent-explained', 'index.html'),
+        'utf-8'
+      );
+
+      expect(content).toMatch(/<mjx-container class="MathJax" jax="SVG"(?! display)[^>]*>/);
     });
 
-    it('display math delimiters are configured', () => {
-      const indexPath = path.join(distPath, 'index.html');
-      const content = fs.readFileSync(indexPath, 'utf-8');
-      
-      // Check for display math configuration
-      const hasDisplayMath = 
-        content.includes('displayMath') ||
-        content.includes('$$') ||
-        content.includes('\\[');
-      
-      expect(hasDisplayMath, 'display math delimiters not configured').toBe(true);
+    it('display math is rendered', () => {
+      const content = fs.readFileSync(
+        path.join(distPath, 'posts', 'gradient-descent-explained', 'index.html'),
+        'utf-8'
+      );
+
+      expect(content).toMatch(/<mjx-container class="MathJax" jax="SVG" display="true"/);
     });
   });
 
@@ -146,21 +138,15 @@ describe('Math Rendering Tests', () => {
       ).toBe(true);
     });
 
-    it('MathJax is available on all pages', () => {
-      // Check multiple pages for MathJax presence
+    it('pages without math do not load MathJax', () => {
       const pages = [
         path.join(distPath, 'index.html'),
         path.join(distPath, 'spaces', 'index.html'),
       ];
-      
+
       pages.forEach(pagePath => {
-        if (fs.existsSync(pagePath)) {
-          const content = fs.readFileSync(pagePath, 'utf-8');
-          expect(
-            content.includes('MathJax') || content.includes('mathjax'),
-            `MathJax missing on ${pagePath}`
-          ).toBe(true);
-        }
+        const content = fs.readFileSync(pagePath, 'utf-8');
+        expect(content.includes('tex-svg.js'), `MathJax loaded on ${pagePath}`).toBe(false);
       });
     });
   });
@@ -203,8 +189,8 @@ describe('Math Rendering Tests', () => {
     });
 
     it('MathJax config defines tex settings', () => {
-      const baseLayoutPath = path.join(__dirname, '../src/layouts/BaseLayout.astro');
-      const content = fs.readFileSync(baseLayoutPath, 'utf-8');
+      const mathJaxClientPath = path.join(__dirname, '../src/components/MathJaxClient.astro');
+      const content = fs.readFileSync(mathJaxClientPath, 'utf-8');
       
       expect(
         content.includes('tex') && (content.includes('inlineMath') || content.includes('displayMath')),
@@ -213,27 +199,25 @@ describe('Math Rendering Tests', () => {
     });
 
     it('MathJax is configured before loading script', () => {
-      const indexPath = path.join(distPath, 'index.html');
-      const content = fs.readFileSync(indexPath, 'utf-8');
-      
+      const mathJaxClientPath = path.join(__dirname, '../src/components/MathJaxClient.astro');
+      const content = fs.readFileSync(mathJaxClientPath, 'utf-8');
+
       // Config should appear before the script
       const configIndex = content.indexOf('window.MathJax');
       const scriptIndex = content.indexOf('tex-svg.js');
-      
-      if (configIndex !== -1 && scriptIndex !== -1) {
-        expect(
-          configIndex < scriptIndex,
-          'MathJax config should be defined before loading script'
-        ).toBe(true);
-      }
+
+      expect(
+        configIndex !== -1 && configIndex < scriptIndex,
+        'MathJax config should be defined before loading script'
+      ).toBe(true);
     });
   });
 
   describe('Math Symbol Examples', () => {
     it('inline math syntax is recognized', () => {
       // This test verifies the configuration supports common inline math patterns
-      const baseLayoutPath = path.join(__dirname, '../src/layouts/BaseLayout.astro');
-      const content = fs.readFileSync(baseLayoutPath, 'utf-8');
+      const mathJaxClientPath = path.join(__dirname, '../src/components/MathJaxClient.astro');
+      const content = fs.readFileSync(mathJaxClientPath, 'utf-8');
       
       // Check for $ or \( delimiters in config
       const hasInlineDelimiters = 
@@ -246,8 +230,8 @@ describe('Math Rendering Tests', () => {
 
     it('display math syntax is recognized', () => {
       // This test verifies the configuration supports common display math patterns
-      const baseLayoutPath = path.join(__dirname, '../src/layouts/BaseLayout.astro');
-      const content = fs.readFileSync(baseLayoutPath, 'utf-8');
+      const mathJaxClientPath = path.join(__dirname, '../src/components/MathJaxClient.astro');
+      const content = fs.readFileSync(mathJaxClientPath, 'utf-8');
       
       // Check for $$ or \[ delimiters in config
       const hasDisplayDelimiters = 
@@ -261,8 +245,8 @@ describe('Math Rendering Tests', () => {
 
   describe('Accessibility', () => {
     it('MathJax uses SVG output for accessibility', () => {
-      const baseLayoutPath = path.join(__dirname, '../src/layouts/BaseLayout.astro');
-      const content = fs.readFileSync(baseLayoutPath, 'utf-8');
+      const mathJaxClientPath = path.join(__dirname, '../src/components/MathJaxClient.astro');
+      const content = fs.readFileSync(mathJaxClientPath, 'utf-8');
       
       // Check for SVG configuration or tex-svg script
       const usesSVG = 
@@ -272,4 +256,66 @@ describe('Math Rendering Tests', () => {
       expect(usesSVG, 'MathJax should use SVG output for better accessibility').toBe(true);
     });
   });
+
+  describe('Equation Numbering and References', () => {
+    const math = (tagName, className, value) => ({
+      type: 'element',
+      tagName,
+      properties: { className: ['language-math', className] },
+      children: [{ type: 'text', value }],
+    });
+    const document = (inline, display) => {
+      const inlineMath = math('code', 'math-inline', inline);
+      const displayMath = math('code', 'math-display', display);
+      const tree = {
+        type: 'root',
+        children: [
+          { type: 'element', tagName: 'p', properties: {}, children: [inlineMath] },
+          { type: 'element', tagName: 'pre', properties: {}, children: [displayMath] },
+        ],
+      };
+      return { tree, inlineMath, displayMath };
+    };
+    const file = { fail: message => { throw new Error(message); } };
+    const transform = rehypeMathRefs({ tex: { tags: 'ams' } });
+
+    it('resolves forward references to numbered links', () => {
+      const { tree, inlineMath, displayMath } = document(
+        'see \\eqref{eq:a} and \\ref{eq:b}',
+        '\\begin{align} x \\label{eq:a} \\\\ y \\label{eq:b} \\end{align}'
+      );
+      transform(tree, file);
+
+      expect(inlineMath.children[0].value).toBe(
+        'see \\href{#mjx-eqn:eq:a}{\\text{(1)}} and \\href{#mjx-eqn:eq:b}{\\text{2}}'
+      );
+      expect(displayMath.children[0].value).toContain('\\begin{align}');
+    });
+
+    it('numbers labelled display math without an environment', () => {
+      const { tree, displayMath } = document('\\eqref{e}', 'E = mc^2 \\label{e}');
+      transform(tree, file);
+
+      expect(displayMath.children[0].value).toBe('\\begin{equation}E = mc^2 \\label{e}\\end{equation}');
+    });
+
+    it('fails on references to undefined labels', () => {
+      const { tree } = document('\\eqref{missing}', 'x');
+
+      expect(() => transform(tree, file)).toThrow(/undefined label "missing"/);
+    });
+
+    it('links references to numbered equations in built posts', () => {
+      const content = fs.readFileSync(
+        path.join(distPath, 'posts', 'gradient-descent-explained', 'index.html'),
+        'utf-8'
+      );
+      const ids = [...content.matchAll(/id="(mjx-eqn:[^"]+)"/g)].map(match => match[1]);
+      const refs = [...content.matchAll(/href="#(mjx-eqn:[^"]+)"/g)].map(match => match[1]);
+
+      expect(ids).toEqual(['mjx-eqn:eq:update', 'mjx-eqn:eq:sgd', 'mjx-eqn:eq:minibatch']);
+      expect(refs.length).toBeGreaterThan(0);
+      refs.forEach(ref => expect(ids).toContain(ref));
+    });
+  });
 });
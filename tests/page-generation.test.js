@@ -3,18 +3,57 @@
  * Ensures Astro builds all pages correctly and dynamic routes work
  */
 
-import { describe, it, expect, beforeAll } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
 import { execSync } from 'child_process';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { buildFixtureSite, removeFixtureSite } from './fixtures/site';
+import { getCollection } from 'astro:content';
+import { paginate, getPageNumbers, POSTS_PER_PAGE } from '../src/utils/pagination';
+import { groupPostsByPeriod, groupPostsBySpace, getMonthName } from '../src/utils/archive';
+import { generateBreadcrumbs } from '../src/utils/breadcrumbs';
+import { isPublished } from '../src/utils/publishing';
+import { getSeriesSlug, groupPostsBySeries, getAdjacentPosts } from '../src/utils/series';
+import { getWikiLinks, findBacklinks } from '../src/utils/wikiLinks';
+import { remarkWikiLinks } from '../src/plugins/remark-wiki-links.mjs';
+import { buildGraph, getNeighbourhood, layoutGraph } from '../src/utils/graph';
+import { wrapText, resolveImageUrl, socialImageSvg } from '../src/utils/socialImage';
+import { breadcrumbListJsonLd, serializeJsonLd } from '../src/utils/structuredData';
+import { authors, findAuthorRegistryErrors, DEFAULT_AUTHOR_ID } from '../src/utils/authors';
+import { collections } from '../src/content/config';
+import {
+  DEFAULT_LOCALE,
+  findLocaleRegistryErrors,
+  findTranslationErrors,
+  formatDate,
+  getPostPath,
+  t,
+  tCount,
+} from '../src/utils/i18n';
+import { getGitHistory, getLastModified } from '../src/plugins/git-history.mjs';
+import { getPostLastModified, getPostRevisions, isUpdated } from '../src/utils/revisions';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const distPath = path.join(__dirname, '../dist');
 
+// Published posts in the default locale: the ones listings and the archive show.
+async function getListedPosts() {
+  const spaces = JSON.parse(fs.readFileSync(path.join(__dirname, '../src/spaces.json'), 'utf-8'));
+  const collections = await Promise.all(
+    spaces.map(space =>
+      getCollection(space.id, post => isPublished(post.data) && post.data.lang === DEFAULT_LOCALE)
+    )
+  );
+  return collections.flat();
+}
+
 describe('Page Generation Tests', () => {
+  afterAll(() => removeFixtureSite());
+
   describe('2.1 - Astro build succeeds', () => {
     it('npm run build completes without errors', () => {
       try {
@@ -82,6 +121,22 @@ describe('Page Generation Tests', () => {
       ).toBe(true);
     });
 
+    it('unpublished posts are not built', async () => {
+      const spaces = JSON.parse(
+        fs.readFileSync(path.join(__dirname, '../src/spaces.json'), 'utf-8')
+      );
+      const unpublished = (
+        await Promise.all(spaces.map(space => getCollection(space.id, post => !isPublished(post.data))))
+      ).flat();
+
+      unpublished.forEach(post => {
+        expect(
+          fs.existsSync(path.join(distPath, 'posts', post.slug)),
+          `unpublished post ${post.id} was built`
+        ).toBe(false);
+      });
+    });
+
     it('tag pages are generated', () => {
       const tagsDir = path.join(distPath, 'tags');
       expect(fs.existsSync(tagsDir), '/tags directory not found').toBe(true);
@@ -140,4 +195,793 @@ describe('Page Generation Tests', () => {
       }
     });
   });
+
+  describe('2.4 - Pagination', () => {
+    it('splits items into pages with prev/next links', () => {
+      const pages = paginate([1, 2, 3, 4, 5, 6, 7], '/archive', 3);
+
+      expect(pages.map(page => page.items)).toEqual([[1, 2, 3], [4, 5, 6], [7]]);
+      expect(pages[0].prev).toBeUndefined();
+      expect(pages[0].href).toMatch(/\/archive$/);
+      expect(pages[0].next).toMatch(/\/archive\/page\/2$/);
+      expect(pages[1].prev).toMatch(/\/archive$/);
+      expect(pages[2].next).toBeUndefined();
+      pages.forEach(page => {
+        expect(page.total).toBe(3);
+        expect(page.count).toBe(7);
+      });
+    });
+
+    it('always returns at least one page', () => {
+      const pages = paginate([], '/tags/none');
+
+      expect(pages).toHaveLength(1);
+      expect(pages[0].items).toEqual([]);
+    });
+
+    it('collapses distant page numbers into gaps', () => {
+      expect(getPageNumbers(1, 3)).toEqual([1, 2, 3]);
+      expect(getPageNumbers(5, 10)).toEqual([1, null, 4, 5, 6, null, 10]);
+      expect(getPageNumbers(1, 10)).toEqual([1, 2, null, 10]);
+    });
+
+    it('archive has one page per POSTS_PER_PAGE posts', async () => {
+      const total = (await getListedPosts()).length;
+      const pageCount = Math.ceil(total / POSTS_PER_PAGE);
+
+      expect(fs.existsSync(path.join(distPath, 'archive', 'index.html'))).toBe(true);
+      for (let page = 2; page <= pageCount; page++) {
+        expect(
+          fs.existsSync(path.join(distPath, 'archive', 'page', String(page), 'index.html')),
+          `/archive/page/${page} not generated`
+        ).toBe(true);
+      }
+      expect(fs.existsSync(path.join(distPath, 'archive', 'page', String(pageCount + 1)))).toBe(false);
+    });
+
+    it('paginated pages link their neighbours in the head', () => {
+      const first = fs.readFileSync(path.join(distPath, 'archive', 'index.html'), 'utf-8');
+      expect(first).not.toContain('rel="prev"');
+
+      if (fs.existsSync(path.join(distPath, 'archive', 'page', '2'))) {
+        expect(first).toMatch(/<link rel="next" href="[^"]*\/archive\/page\/2"/);
+
+        const second = fs.readFileSync(
+          path.join(distPath, 'archive', 'page', '2', 'index.html'),
+          'utf-8'
+        );
+        expect(second).toMatch(/<link rel="prev" href="[^"]*\/archive"/);
+        expect(second).toContain('aria-current="page"');
+      }
+    });
+  });
+
+  describe('2.5 - Chronological archive', () => {
+    const post = (date, space = 'blog') => ({ data: { date: new Date(date), space } });
+    const postDates = async () =>
+      (await getListedPosts()).map(({ data }) => ({
+        year: String(data.date.getUTCFullYear()),
+        month: String(data.date.getUTCMonth() + 1).padStart(2, '0'),
+      }));
+
+    it('groups posts by year and month, newest first', () => {
+      const posts = [post('2025-03-02'), post('2025-01-20'), post('2025-01-05'), post('2024-12-31')];
+      const archive = groupPostsByPeriod(posts);
+
+      expect(archive.map(year => year.year)).toEqual(['2025', '2024']);
+      expect(archive[0].posts).toHaveLength(3);
+      expect(archive[0].months.map(month => [month.month, month.posts.length])).toEqual([
+        ['03', 1],
+        ['01', 2],
+      ]);
+      expect(archive[1].months[0].month).toBe('12');
+    });
+
+    it('groups posts by space in registry order', () => {
+      const groups = groupPostsBySpace([post('2025-01-01', 'web'), post('2025-01-02', 'ml')]);
+
+      expect(groups.map(group => group.space)).toEqual(['ml', 'web']);
+    });
+
+    it('builds archive breadcrumbs', () => {
+      expect(getMonthName('01', 'en')).toBe('January');
+      expect(getMonthName('01', 'es')).toBe('enero');
+      expect(generateBreadcrumbs(undefined, undefined, {}).map(b => b.label)).toEqual([
+        'Home',
+        'Archive',
+      ]);
+
+      const crumbs = generateBreadcrumbs(undefined, undefined, { year: '2025', month: '01' });
+      expect(crumbs.map(b => b.label)).toEqual(['Home', 'Archive', '2025', 'January']);
+      expect(crumbs[2].href).toMatch(/\/archive\/2025$/);
+      expect(crumbs[3].href).toBe('#');
+    });
+
+    it('generates a page for every year and month with posts', async () => {
+      (await postDates()).forEach(({ year, month }) => {
+        expect(
+          fs.existsSync(path.join(distPath, 'archive', year, 'index.html')),
+          `/archive/${year} not generated`
+        ).toBe(true);
+        expect(
+          fs.existsSync(path.join(distPath, 'archive', year, month, 'index.html')),
+          `/archive/${year}/${month} not generated`
+        ).toBe(true);
+      });
+    });
+
+    it('month pages show their post count and the archive index', async () => {
+      const dates = await postDates();
+      const [{ year, month }] = dates;
+      const expected = dates.filter(d => d.year === year && d.month === month).length;
+      const content = fs.readFileSync(path.join(distPath, 'archive', year, month, 'index.html'), 'utf-8');
+
+      expect(content).toContain(`${expected} ${expected === 1 ? 'post' : 'posts'} published in`);
+      expect(content).toContain('class="archive-index"');
+      expect(content).toMatch(/class="archive-month current"/);
+    });
+  });
+
+  describe('2.6 - Series', () => {
+    const post = (id, date, data = {}) => ({
+      id: `${id}.mdx`,
+      slug: id,
+      collection: data.space || 'ml',
+      data: { date: new Date(date), space: 'ml', ...data },
+    });
+    const slugs = ({ prevPost, nextPost }) => [prevPost?.slug ?? null, nextPost?.slug ?? null];
+
+    it('slugifies series names', () => {
+      expect(getSeriesSlug('Training Neural Networks')).toBe('training-neural-networks');
+      expect(getSeriesSlug('  Café: Part One! ')).toBe('cafe-part-one');
+      expect(getSeriesSlug('Нейросети')).toMatch(/^series-[0-9a-z]+$/);
+      expect(getSeriesSlug(' Нейросети ')).toBe(getSeriesSlug('Нейросети'));
+      expect(getSeriesSlug('Нейросети')).not.toBe(getSeriesSlug('Трансформеры'));
+    });
+
+    it('orders parts by seriesOrder, then date', () => {
+      const posts = [
+        post('c', '2025-01-01', { series: 'Intro', seriesOrder: 2 }),
+        post('a', '2025-01-05', { series: 'Intro', seriesOrder: 1 }),
+        post('d', '2025-01-02', { series: 'Intro' }),
+        post('x', '2025-01-03'),
+      ];
+      const [series] = groupPostsBySeries(posts);
+
+      expect(series.slug).toBe('intro');
+      expect(series.posts.map(p => p.slug)).toEqual(['a', 'c', 'd']);
+    });
+
+    it('navigates by series order inside a series, by date otherwise', () => {
+      const posts = [
+        post('part-2', '2025-01-01', { series: 'Intro', seriesOrder: 2 }),
+        post('part-1', '2025-01-09', { series: 'Intro', seriesOrder: 1, space: 'web' }),
+        post('old', '2024-12-01'),
+        post('new', '2025-02-01'),
+      ];
+
+      expect(slugs(getAdjacentPosts(posts[1], posts))).toEqual([null, 'part-2']);
+      expect(slugs(getAdjacentPosts(posts[0], posts))).toEqual(['part-1', null]);
+      // Same-space date order, skipping series parts, which never link back.
+      expect(slugs(getAdjacentPosts(posts[2], posts))).toEqual([null, 'new']);
+      expect(slugs(getAdjacentPosts(posts[3], posts))).toEqual(['old', null]);
+    });
+
+    it('generates a page for every series', async () => {
+      const spaces = JSON.parse(
+        fs.readFileSync(path.join(__dirname, '../src/spaces.json'), 'utf-8')
+      );
+      const posts = (await Promise.all(spaces.map(space => getCollection(space.id)))).flat();
+
+      groupPostsBySeries(posts.filter(p => isPublished(p.data))).forEach(series => {
+        const seriesPage = path.join(distPath, 'series', series.slug, 'index.html');
+        expect(fs.existsSync(seriesPage), `/series/${series.slug} not generated`).toBe(true);
+
+        series.posts.forEach(part => {
+          const content = fs.readFileSync(
+            path.join(distPath, 'posts', part.slug, 'index.html'),
+            'utf-8'
+          );
+          expect(content, `${part.slug} has no series box`).toContain('class="series-box"');
+        });
+      });
+    });
+  });
+
+  describe('2.7 - Wiki links and backlinks', () => {
+    const contentDir = path.join(__dirname, '../src/content');
+    const transform = remarkWikiLinks({ base: '/Confero', contentDir });
+    const paragraph = value => ({
+      type: 'root',
+      children: [{ type: 'paragraph', children: [{ type: 'text', value }] }],
+    });
+    const file = { fail: message => { throw new Error(message); } };
+    const post = (slug, collection, body = '') => ({
+      id: `${slug}.mdx`,
+      slug,
+      collection,
+      body,
+      data: { space: collection },
+    });
+
+    it('turns [[slug]] and [[space/slug|label]] into links under the base', () => {
+      const tree = paragraph(
+        'See [[gradient-descent-explained]] and [[ml/understanding-loss-functions|losses]].'
+      );
+      transform(tree, file);
+      const nodes = tree.children[0].children;
+
+      expect(nodes.map(node => node.type)).toEqual(['text', 'link', 'text', 'link', 'text']);
+      expect(nodes[1].url).toBe('/Confero/posts/gradient-descent-explained');
+      expect(nodes[1].children[0].value).toBe('Gradient Descent Explained');
+      expect(nodes[3].url).toBe('/Confero/posts/understanding-loss-functions');
+      expect(nodes[3].children[0].value).toBe('losses');
+    });
+
+    it('fails on unresolved, misplaced or malformed links', () => {
+      expect(() => transform(paragraph('[[no-such-post]]'), file)).toThrow(/does not match/);
+      expect(() => transform(paragraph('[[web/gradient-descent-explained]]'), file)).toThrow(
+        /is in "optimization"/
+      );
+      expect(() => transform(paragraph('[[gradient-descent-explained'), file)).toThrow(
+        /Malformed/
+      );
+    });
+
+    it('links translations at their locale path', () => {
+      const tree = paragraph('[[primeros-pasos-con-este-blog]]');
+      transform(tree, file);
+
+      expect(tree.children[0].children[0].url).toBe('/Confero/es/posts/getting-started-with-this-blog');
+    });
+
+    it('fails on links to unpublished posts, except from unpublished posts', () => {
+      const fixtures = path.join(__dirname, 'fixtures/content');
+      const transformFixture = remarkWikiLinks({ contentDir: fixtures });
+
+      expect(() => transformFixture(paragraph('[[draft-post]]'), file)).toThrow(/not published/);
+      expect(() => transformFixture(paragraph('[[scheduled-post]]'), file)).toThrow(/not published/);
+      expect(() => transformFixture(paragraph('[[published-post]]'), file)).not.toThrow();
+
+      const draft = { ...file, path: path.join(fixtures, 'notes/draft-post.mdx') };
+      expect(() => transformFixture(paragraph('[[scheduled-post]]'), draft)).not.toThrow();
+    });
+
+    it('fails on slugs used in more than one space', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiki-links-'));
+      ['ml', 'web'].forEach(space => {
+        fs.mkdirSync(path.join(dir, space));
+        fs.writeFileSync(path.join(dir, space, 'intro.mdx'), `---\ntitle: Intro\ndate: 2025-01-01\n---\n`);
+      });
+
+      try {
+        expect(() => remarkWikiLinks({ contentDir: dir })(paragraph('[[ml/intro]]'), file)).toThrow(
+          /"ml", "web"/
+        );
+      } finally {
+        fs.rmSync(dir, { recursive: true });
+      }
+    });
+
+    it('indexes the content folders once, not for every post', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiki-links-'));
+      const write = slug => {
+        fs.mkdirSync(path.join(dir, 'ml'), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'ml', `${slug}.mdx`), `---\r\ntitle: "${slug}"\r\ndate: 2025-01-01\r\n---\r\n`);
+      };
+
+      try {
+        write('intro');
+        const transformDir = remarkWikiLinks({ contentDir: dir });
+        write('later');
+        const tree = paragraph('[[intro]]');
+        transformDir(tree, file);
+
+        expect(tree.children[0].children[0].children[0].value).toBe('intro');
+        expect(() => transformDir(paragraph('[[later]]'), file)).toThrow(/does not match/);
+      } finally {
+        fs.rmSync(dir, { recursive: true });
+      }
+    });
+
+    it('finds backlinks from any space, ignoring code', () => {
+      const target = post('target', 'ml');
+      const posts = [
+        target,
+        post('linker', 'web', 'Read [[target]].'),
+        post('qualified', 'notes', 'Read [[ml/target|this]].'),
+        post('wrong-space', 'notes', 'Read [[web/target]].'),
+        post('in-code', 'blog', 'Use `[[target]]` like so.'),
+        post('self', 'ml', '[[self]]'),
+      ];
+
+      expect(getWikiLinks('A [[x]]\n\n```\n[[y]]\n```')).toEqual([
+        { space: undefined, slug: 'x', label: undefined },
+      ]);
+      expect(findBacklinks(target, posts).map(p => p.slug)).toEqual(['linker', 'qualified']);
+      expect(findBacklinks(posts[5], posts)).toEqual([]);
+    });
+
+    it('lists backlinks on built post pages', () => {
+      const content = fs.readFileSync(
+        path.join(distPath, 'posts/gradient-descent-explained/index.html'),
+        'utf-8'
+      );
+
+      expect(content).toContain('class="wiki-link"');
+      expect(content).toMatch(/Linked from[\s\S]*\/posts\/understanding-loss-functions/);
+    });
+  });
+
+  describe('2.8 - Knowledge graph', () => {
+    const post = (slug, space, tags, body = '') => ({
+      id: `${slug}.mdx`,
+      slug,
+      collection: space,
+      body,
+      data: { space, tags },
+    });
+    const posts = [
+      post('a', 'ml', ['math'], 'See [[b]] and [the c post](/Confero/posts/c).'),
+      post('b', 'optimization', ['math', 'calculus']),
+      post('c', 'web', ['react'], '`[[a]]` is not a link'),
+    ];
+    const edgeKeys = graph => graph.edges.map(edge => `${edge.source}>${edge.target}:${edge.type}`);
+
+    it('has post, tag and space nodes with tag, space, link and parent edges', () => {
+      const graph = buildGraph(posts);
+      const ids = graph.nodes.map(node => node.id);
+
+      expect(ids).toEqual(expect.arrayContaining(['post:a', 'tag:calculus', 'space:web']));
+      expect(edgeKeys(graph)).toEqual(
+        expect.arrayContaining([
+          'post:a>tag:math:tag',
+          'post:b>space:optimization:space',
+          'post:a>post:b:link',
+          'post:a>post:c:link',
+          'space:optimization>space:ml:parent',
+        ])
+      );
+      expect(edgeKeys(graph)).not.toContain('post:c>post:a:link');
+    });
+
+    it('extracts the neighbourhood of a node', () => {
+      const graph = buildGraph(posts);
+      const ids = getNeighbourhood(graph, 'post:c', 1).nodes.map(node => node.id);
+
+      expect(ids.sort()).toEqual(['post:a', 'post:c', 'space:web', 'tag:react']);
+    });
+
+    it('lays the graph out deterministically inside the canvas', () => {
+      const graph = buildGraph(posts);
+      const layout = layoutGraph(graph, { width: 400, height: 300 });
+
+      expect(layoutGraph(graph, { width: 400, height: 300 })).toEqual(layout);
+      layout.nodes.forEach(node => {
+        expect(node.x).toBeGreaterThan(0);
+        expect(node.x).toBeLessThan(400);
+        expect(node.y).toBeGreaterThan(0);
+        expect(node.y).toBeLessThan(300);
+      });
+      expect(layout.nodes.find(node => node.id === 'post:a').degree).toBe(4);
+    });
+
+    it('builds the graph page, its JSON and a mini-graph on posts', () => {
+      const page = fs.readFileSync(path.join(distPath, 'graph/index.html'), 'utf-8');
+      const data = JSON.parse(fs.readFileSync(path.join(distPath, 'graph.json'), 'utf-8'));
+      const postPage = fs.readFileSync(
+        path.join(distPath, 'posts/gradient-descent-explained/index.html'),
+        'utf-8'
+      );
+
+      expect(page).toContain('data-knowledge-graph');
+      expect(page.match(/class="graph-node[ "]/g)).toHaveLength(data.nodes.length);
+      expect(data.edges.length).toBeGreaterThan(0);
+      data.nodes.forEach(node => expect(typeof node.x).toBe('number'));
+      expect(postPage).toMatch(/class="graph-node node-post current"[^>]*aria-current="page"/);
+    });
+  });
+
+  describe('2.9 - Social previews', () => {
+    const meta = (html, key) =>
+      html.match(new RegExp(`<meta (?:property|name)="${key}" content="([^"]*)"`))?.[1];
+    const distFile = url => path.join(distPath, new URL(url).pathname.replace(/^\/Confero/, ''));
+    // PNG stores width and height as big-endian integers at bytes 16-23.
+    const pngSize = file => {
+      const header = fs.readFileSync(file);
+      return [header.readUInt32BE(16), header.readUInt32BE(20)];
+    };
+
+    it('wraps long titles and cuts them off with an ellipsis', () => {
+      expect(wrapText('Attention Is All You Need', 12, 3)).toEqual(['Attention Is', 'All You Need']);
+      expect(wrapText('one two three four five six', 9, 2)).toEqual(['one two', 'three…']);
+    });
+
+    it('resolves frontmatter images against the site', () => {
+      const site = 'https://example.com/Confero';
+
+      expect(resolveImageUrl('/images/cover.png', site)).toBe('https://example.com/images/cover.png');
+      expect(resolveImageUrl('https://cdn.example.com/a.png', site)).toBe(
+        'https://cdn.example.com/a.png'
+      );
+    });
+
+    it('draws the title, space and tags into the card', () => {
+      const svg = socialImageSvg({ title: 'Q&A <live>', label: 'Web', icon: '🌐', tags: ['react'] });
+
+      expect(svg).toContain('Q&amp;A &lt;live&gt;');
+      expect(svg).toContain('🌐');
+      expect(svg).toContain('#react');
+    });
+
+    it('gives posts canonical, Open Graph and Twitter tags with a generated image', () => {
+      const html = fs.readFileSync(
+        path.join(distPath, 'posts/gradient-descent-explained/index.html'),
+        'utf-8'
+      );
+      const canonical = html.match(/<link rel="canonical" href="([^"]*)"/)?.[1];
+      const image = meta(html, 'og:image');
+
+      expect(canonical).toMatch(/^https:\/\/[^/]+\/Confero\/posts\/gradient-descent-explained\/$/);
+      expect(meta(html, 'og:url')).toBe(canonical);
+      expect(meta(html, 'og:type')).toBe('article');
+      expect(meta(html, 'og:title')).toBe('Gradient Descent Explained');
+      expect(meta(html, 'twitter:card')).toBe('summary_large_image');
+      expect(meta(html, 'twitter:image')).toBe(image);
+      expect(image).toMatch(/\/posts\/gradient-descent-explained\/og\.png$/);
+      expect(pngSize(distFile(image))).toEqual([1200, 630]);
+    });
+
+    it('gives spaces their own image and other pages the site image', () => {
+      const space = fs.readFileSync(path.join(distPath, 'spaces/ml/optimization/index.html'), 'utf-8');
+      const home = fs.readFileSync(path.join(distPath, 'index.html'), 'utf-8');
+
+      expect(meta(space, 'og:image')).toMatch(/\/spaces\/ml\/optimization\/og\.png$/);
+      expect(fs.existsSync(distFile(meta(space, 'og:image')))).toBe(true);
+      expect(meta(home, 'og:type')).toBe('website');
+      expect(meta(home, 'og:image')).toMatch(/^https:\/\/[^/]+(\/Confero)?\/og\.png$/);
+      expect(fs.existsSync(distFile(meta(home, 'og:image')))).toBe(true);
+    });
+  });
+
+  describe('2.10 - Structured data', () => {
+    const htmlFiles = dir =>
+      fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return htmlFiles(file);
+        return entry.name.endsWith('.html') ? [file] : [];
+      });
+    const jsonLd = html =>
+      [...html.matchAll(/<script type="application\/ld\+json">(.*?)<\/script>/gs)].map(match =>
+        JSON.parse(match[1])
+      );
+    const byType = (data, type) => data.find(item => item['@type'] === type);
+    const read = page => fs.readFileSync(path.join(distPath, page), 'utf-8');
+
+    it('links breadcrumbs absolutely and escapes script-closing text', () => {
+      const list = breadcrumbListJsonLd(
+        [
+          { label: 'Home', href: '/Confero' },
+          { label: '</script>', href: '#' },
+        ],
+        'https://example.com/Confero/x/',
+        'https://example.com/Confero'
+      );
+
+      expect(list.itemListElement.map(item => item.item)).toEqual([
+        'https://example.com/Confero/',
+        'https://example.com/Confero/x/',
+      ]);
+      expect(serializeJsonLd(list)).not.toContain('</script>');
+    });
+
+    it('emits valid schema.org JSON on every page', () => {
+      htmlFiles(distPath).forEach(file => {
+        jsonLd(fs.readFileSync(file, 'utf-8')).forEach(data => {
+          expect(data['@context'], file).toBe('https://schema.org');
+          expect(['BlogPosting', 'CollectionPage', 'BreadcrumbList'], file).toContain(data['@type']);
+        });
+      });
+    });
+
+    it('describes posts as BlogPosting', () => {
+      const data = jsonLd(read('posts/gradient-descent-explained/index.html'));
+      const post = byType(data, 'BlogPosting');
+
+      expect(post).toMatchObject({
+        headline: 'Gradient Descent Explained',
+        articleSection: 'Optimization',
+        datePublished: '2025-01-22T00:00:00.000Z',
+      });
+      expect(post.keywords.split(', ')).toContain('optimization');
+      expect(post.url).toMatch(/^https:\/\/.+\/posts\/gradient-descent-explained\/$/);
+      expect(byType(data, 'BreadcrumbList').itemListElement.at(-1).item).toBe(post.url);
+    });
+
+    it('lists the posts of a space as a CollectionPage', () => {
+      const data = jsonLd(read('spaces/ml/index.html'));
+      const page = byType(data, 'CollectionPage');
+      const items = page.mainEntity.itemListElement;
+
+      expect(page.mainEntity['@type']).toBe('ItemList');
+      expect(items.length).toBeGreaterThan(0);
+      expect(items.map(item => item.position)).toEqual(items.map((_, i) => i + 1));
+      items.forEach(item => expect(item.url).toMatch(/\/posts\/[^/]+\/$/));
+    });
+
+    it('turns the breadcrumbs of every page into a BreadcrumbList', () => {
+      ['spaces/index.html', 'tags/ml/index.html', 'archive/index.html', 'search/index.html'].forEach(
+        page => {
+          const list = byType(jsonLd(read(page)), 'BreadcrumbList');
+
+          expect(list, page).toBeDefined();
+          expect(list.itemListElement[0]).toMatchObject({ position: 1, name: 'Home' });
+          list.itemListElement.forEach(item => expect(item.item).toMatch(/^https:\/\//));
+        }
+      );
+    });
+  });
+
+  describe('2.11 - Authors', () => {
+    const read = page => fs.readFileSync(path.join(distPath, page), 'utf-8');
+    const authorsSchema = collections.blog.schema.shape.authors;
+
+    beforeAll(() => {
+      if (!fs.existsSync(distPath)) {
+        execSync('npm run build', { cwd: path.join(__dirname, '..'), stdio: 'pipe' });
+      }
+    });
+
+    it('authors.json is consistent', () => {
+      expect(findAuthorRegistryErrors()).toEqual([]);
+    });
+
+    it('credits the default author when a post names none', () => {
+      expect(authorsSchema.parse(undefined)).toEqual([DEFAULT_AUTHOR_ID]);
+      expect(authorsSchema.safeParse([]).success).toBe(false);
+    });
+
+    it('rejects authors missing from authors.json', () => {
+      const result = authorsSchema.safeParse([DEFAULT_AUTHOR_ID, 'nobody']);
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toContain('Unknown author "nobody"');
+    });
+
+    it('every author has a page listing their posts', async () => {
+      const posts = (await getCollection('blog')).filter(
+        post => isPublished(post.data) && post.data.lang === DEFAULT_LOCALE
+      );
+
+      expect(fs.existsSync(path.join(distPath, 'authors/index.html'))).toBe(true);
+      authors.forEach(author => {
+        const html = read(`authors/${author.id}/index.html`);
+        const count = posts.filter(post => post.data.authors.includes(author.id)).length;
+
+        expect(html).toContain(author.name);
+        author.links.forEach(link => expect(html).toContain(`href="${link.url}"`));
+        expect(html).toContain(`${count} ${count === 1 ? 'post' : 'posts'}`);
+      });
+    });
+
+    it('posts and listings show a byline', () => {
+      const author = authors[0];
+      const byline = new RegExp(`<a href="[^"]*/authors/${author.id}"[^>]*rel="author"[^>]*>\\s*${author.name}`);
+
+      expect(read('posts/gradient-descent-explained/index.html')).toMatch(byline);
+      expect(read('spaces/ml/index.html')).toMatch(byline);
+    });
+
+    it('names the authors in the BlogPosting JSON-LD', () => {
+      const html = read('posts/gradient-descent-explained/index.html');
+      const post = [...html.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/g)]
+        .map(match => JSON.parse(match[1]))
+        .find(data => data['@type'] === 'BlogPosting');
+
+      expect(post.author).toEqual([
+        { '@type': 'Person', name: authors[0].name, url: expect.stringMatching(/\/authors\/[^/]+\/$/) },
+      ]);
+    });
+  });
+
+  describe('2.12 - Translations', () => {
+    const read = page => fs.readFileSync(path.join(distPath, page), 'utf-8');
+    const post = (slug, data = {}) => ({ id: `${slug}.mdx`, slug, data: { lang: 'en', ...data } });
+    const hreflangs = html =>
+      Object.fromEntries(
+        [...html.matchAll(/<link rel="alternate" hreflang="([^"]+)" href="([^"]+)"/g)].map(m => m.slice(1))
+      );
+
+    beforeAll(() => {
+      if (!fs.existsSync(distPath)) {
+        execSync('npm run build', { cwd: path.join(__dirname, '..'), stdio: 'pipe' });
+      }
+    });
+
+    it('locales.json is consistent', () => {
+      expect(findLocaleRegistryErrors()).toEqual([]);
+    });
+
+    it('translates UI strings and formats dates per locale', () => {
+      const date = new Date('2025-01-22T00:00:00Z');
+
+      expect(t('es', 'nav.backTo', { name: 'Blog' })).toBe('Volver a Blog');
+      expect(t('xx', 'list.empty')).toBe('No posts yet.');
+      expect(formatDate(date, 'en')).toBe('January 22, 2025');
+      expect(formatDate(date, 'es')).toBe('22 de enero de 2025');
+    });
+
+    it('picks the plural form of counted strings', () => {
+      expect(tCount('en', 'count.posts', 1)).toBe('1 post');
+      expect(tCount('en', 'count.posts', 0)).toBe('0 posts');
+      expect(tCount('es', 'series.parts', 3)).toBe('3 partes');
+    });
+
+    it('serves translations under their locale with the original slug', () => {
+      expect(getPostPath(post('hello'))).toBe('/posts/hello');
+      expect(getPostPath(post('hola', { lang: 'es', translationOf: 'hello' }))).toBe(
+        '/es/posts/hello'
+      );
+    });
+
+    it('rejects unknown languages and dangling or clashing translations', () => {
+      expect(collections.blog.schema.shape.lang.safeParse('xx').success).toBe(false);
+
+      const errors = findTranslationErrors([
+        post('hello'),
+        post('hola', { lang: 'es', translationOf: 'hello' }),
+        post('hola-2', { lang: 'es', translationOf: 'hello' }),
+        post('ciao', { lang: 'es', translationOf: 'missing' }),
+      ]);
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toContain('/es/posts/hello');
+      expect(errors[1]).toContain('"missing"');
+    });
+
+    it('builds translated posts with a language switcher', () => {
+      const html = read('es/posts/getting-started-with-this-blog/index.html');
+
+      expect(html).toContain('<html lang="es-ES">');
+      expect(html).toContain('Primeros pasos con este blog');
+      expect(html).toContain('Volver a Blog');
+      expect(html).toContain('class="language-switcher"');
+      expect(html).toContain('&#34;copyLabel&#34;:&#34;Copiar código&#34;');
+      expect(html).toMatch(/<a href="[^"]*\/posts\/getting-started-with-this-blog"[^>]*hreflang="en-US"/);
+    });
+
+    it('links every version with hreflang alternates', () => {
+      const versions = ['posts', 'es/posts'].map(dir => `${dir}/getting-started-with-this-blog/index.html`);
+
+      versions.forEach(page => {
+        const links = hreflangs(read(page));
+
+        expect(Object.keys(links).sort(), page).toEqual(['en-US', 'es-ES', 'x-default']);
+        expect(links['x-default']).toBe(links['en-US']);
+        expect(links['es-ES']).toMatch(/\/es\/posts\/getting-started-with-this-blog\/$/);
+      });
+      expect(hreflangs(read('posts/gradient-descent-explained/index.html'))).toEqual({});
+    });
+
+    it('links translated pages to their locale feed instead of the default feeds', () => {
+      const feedLinks = html => [...html.matchAll(/<link rel="alternate" type="application\/[^"]+" [^>]*href="([^"]+)"/g)].map(m => m[1]);
+      const translated = feedLinks(read('es/posts/getting-started-with-this-blog/index.html'));
+
+      expect(translated).toContain('/es/rss.xml');
+      expect(translated.filter(href => !href.startsWith('/es/'))).toEqual([]);
+      expect(feedLinks(read('es/index.html'))).toEqual(translated);
+      expect(feedLinks(read('posts/getting-started-with-this-blog/index.html'))).toContain('/rss.xml');
+    });
+
+    it('keeps translations out of the default listings', () => {
+      expect(read('spaces/blog/index.html')).not.toContain('Primeros pasos');
+      expect(read('es/index.html')).toContain('Primeros pasos con este blog');
+    });
+  });
+
+  describe('2.13 - Last updated and change history', () => {
+    const read = page => fs.readFileSync(path.join(distPath, page), 'utf-8');
+    const commit = date => ({ hash: 'abc', date: new Date(date), message: 'Edit' });
+
+    beforeAll(() => {
+      if (!fs.existsSync(distPath)) {
+        execSync('npm run build', { cwd: path.join(__dirname, '..'), stdio: 'pipe' });
+      }
+    });
+
+    it('prefers `updated`, then the last commit, never earlier than `date`', () => {
+      const date = new Date('2025-01-10');
+      const history = [commit('2025-03-01'), commit('2025-02-01')];
+
+      expect(getLastModified({ date, updated: new Date('2025-02-15') }, history)).toEqual(new Date('2025-02-15'));
+      expect(getLastModified({ date }, history)).toEqual(new Date('2025-03-01'));
+      expect(getLastModified({ date }, [])).toBe(date);
+      expect(getLastModified({ date }, [commit('2025-03-01')])).toBe(date);
+      expect(getLastModified({ date }, [commit('2024-12-01'), commit('2024-11-01')])).toBe(date);
+      expect(collections.blog.schema.shape.updated.parse('2025-02-15')).toEqual(new Date('2025-02-15'));
+    });
+
+    it('only counts changes on a later day as updates', () => {
+      const date = new Date('2025-01-10T00:00:00Z');
+
+      expect(isUpdated(date, new Date('2025-01-10T18:00:00Z'))).toBe(false);
+      expect(isUpdated(date, new Date('2025-01-11T00:00:00Z'))).toBe(true);
+    });
+
+    it('reads the history of a file from git, skipping the commit that added it', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-history-'));
+      const git = (args, env = {}) =>
+        execSync(`git -c user.name=Test -c user.email=test@example.com ${args}`, {
+          cwd: dir,
+          stdio: 'pipe',
+          env: { ...process.env, ...env },
+        });
+      // The history uses commit dates.
+      const commitFile = (name, text, message, date) => {
+        fs.writeFileSync(path.join(dir, name), text);
+        git(`add ${name}`);
+        git(`commit -q -m "${message}"`, { GIT_COMMITTER_DATE: date });
+      };
+      const date = new Date('2025-01-10T00:00:00Z');
+
+      try {
+        git('init -q');
+        commitFile('added.mdx', 'A post that never changed.', 'Add post', '2025-02-01T00:00:00Z');
+        commitFile('edited.mdx', 'An edited post with a typpo.', 'Add post', '2025-02-01T00:00:00Z');
+        commitFile('edited.mdx', 'An edited post without a typo.', 'Fix typo', '2025-03-01T00:00:00Z');
+
+        const added = getGitHistory(path.join(dir, 'added.mdx'));
+        const edited = getGitHistory(path.join(dir, 'edited.mdx'));
+        expect(added.map(revision => revision.message)).toEqual(['Add post']);
+        expect(edited.map(revision => revision.message)).toEqual(['Fix typo', 'Add post']);
+        expect(getLastModified({ date }, added)).toBe(date);
+        expect(getLastModified({ date }, edited)).toEqual(new Date('2025-03-01T00:00:00Z'));
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('shows the `updated` date on post pages', () => {
+      // A fixture post with `updated: 2024-03-01`, see tests/fixtures/site.js.
+      const html = fs.readFileSync(path.join(buildFixtureSite(), 'posts/updated-post/index.html'), 'utf-8');
+
+      expect(html).toContain('<time datetime="2024-03-01T00:00:00.000Z" class="post-updated"');
+      expect(html).toContain('Updated on March 1, 2024');
+      expect(html).toContain('<meta property="article:modified_time" content="2024-03-01T00:00:00.000Z"');
+      expect(html).toContain('"dateModified":"2024-03-01T00:00:00.000Z"');
+    }, 180000);
+
+    it('lists the commits of a post as its change history', async () => {
+      const [post] = (await getCollection('optimization')).filter(p => p.slug === 'gradient-descent-explained');
+      const revisions = getPostRevisions(post);
+      const html = read('posts/gradient-descent-explained/index.html');
+
+      expect(revisions.length).toBeGreaterThan(0);
+      expect(html).toMatch(new RegExp(`<details class="revision-history"[^>]*>\\s*<summary[^>]*>Change history \\(${revisions.length}\\)`));
+      expect((html.match(/<span class="revision-message"/g) || []).length).toBe(revisions.length);
+      expect(html).toContain(`"dateModified":"${getPostLastModified(post).toISOString()}"`);
+    });
+  });
+
+  describe('2.14 - Fixture posts', () => {
+    let fixtureDist;
+    const read = page => fs.readFileSync(path.join(fixtureDist, page), 'utf-8');
+
+    beforeAll(() => {
+      fixtureDist = buildFixtureSite();
+    }, 180000);
+
+    it('builds published posts but leaves drafts and scheduled posts out', () => {
+      const built = fs.readdirSync(path.join(fixtureDist, 'posts'));
+      const everywhere = ['rss.xml', 'search-index.json', 'sitemap-0.xml', 'spaces/notes/index.html']
+        .map(read)
+        .join('\n');
+
+      expect(built).toContain('published-post');
+      expect(everywhere).toContain('/posts/published-post');
+      ['draft-post', 'scheduled-post'].forEach(slug => {
+        expect(built, slug).not.toContain(slug);
+        expect(everywhere, slug).not.toContain(`/posts/${slug}`);
+      });
+    });
+  });
 });
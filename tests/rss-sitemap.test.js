@@ -117,6 +117,236 @@ describe('RSS Feed Tests', () => {
       });
     });
   });
+
+  describe('5.4 - Feed formats and scopes', () => {
+    const spaces = JSON.parse(
+      fs.readFileSync(path.join(__dirname, '../src/spaces.json'), 'utf-8')
+    );
+    const spaceDirs = () => {
+      // Sub-spaces are nested under their parent's directory.
+      const pathOf = space => {
+        const parent = spaces.find(s => s.id === space.parent);
+        return parent ? [...pathOf(parent), space.id] : [space.id];
+      };
+      return spaces.map(space => path.join(distPath, 'spaces', ...pathOf(space)));
+    };
+    const tagDirs = () =>
+      fs.readdirSync(path.join(distPath, 'tags'))
+        .map(tag => path.join(distPath, 'tags', tag))
+        .filter(dir => fs.statSync(dir).isDirectory());
+
+    it('global Atom and JSON feeds exist', () => {
+      expect(fs.existsSync(path.join(distPath, 'atom.xml')), 'atom.xml not found').toBe(true);
+      expect(fs.existsSync(path.join(distPath, 'feed.json')), 'feed.json not found').toBe(true);
+    });
+
+    it('every space and tag has RSS, Atom and JSON feeds', () => {
+      const dirs = [...spaceDirs(), ...tagDirs()];
+      expect(dirs.length).toBeGreaterThan(spaces.length);
+
+      dirs.forEach(dir => {
+        ['rss.xml', 'atom.xml', 'feed.json'].forEach(file => {
+          expect(
+            fs.existsSync(path.join(dir, file)),
+            `${path.relative(distPath, dir)}/${file} not generated`
+          ).toBe(true);
+        });
+      });
+    });
+
+    it('Atom feeds are well-formed', () => {
+      const content = fs.readFileSync(path.join(distPath, 'atom.xml'), 'utf-8');
+
+      expect(content.startsWith('<?xml')).toBe(true);
+      expect(content).toContain('<feed xmlns="http://www.w3.org/2005/Atom"');
+      expect(content).toContain('<entry>');
+      expect(content).toContain('</feed>');
+    });
+
+    it('JSON feeds follow JSON Feed 1.1', () => {
+      const feed = JSON.parse(fs.readFileSync(path.join(distPath, 'feed.json'), 'utf-8'));
+
+      expect(feed.version).toBe('https://jsonfeed.org/version/1.1');
+      expect(feed.title).toBeTruthy();
+      expect(feed.items.length).toBeGreaterThan(0);
+      feed.items.forEach(item => {
+        expect(item.id).toBeTruthy();
+        expect(() => new URL(item.url)).not.toThrow();
+      });
+    });
+
+    it('tag feeds only contain posts with that tag', () => {
+      tagDirs().forEach(dir => {
+        const tag = path.basename(dir);
+        const feed = JSON.parse(fs.readFileSync(path.join(dir, 'feed.json'), 'utf-8'));
+
+        feed.items.forEach(item => {
+          expect(item.tags, `${item.id} in #${tag} feed`).toContain(tag);
+        });
+      });
+    });
+
+    it('pages advertise their feeds', () => {
+      const home = fs.readFileSync(path.join(distPath, 'index.html'), 'utf-8');
+      expect(home).toMatch(/<link rel="alternate" type="application\/rss\+xml"[^>]*rss\.xml/);
+      expect(home).toMatch(/<link rel="alternate" type="application\/atom\+xml"/);
+      expect(home).toMatch(/<link rel="alternate" type="application\/feed\+json"/);
+
+      const mlPage = fs.readFileSync(path.join(distPath, 'spaces', 'ml', 'index.html'), 'utf-8');
+      expect(mlPage).toMatch(/href="[^"]*\/spaces\/ml\/rss\.xml"/);
+    });
+  });
+
+  describe('5.5 - Full-content items', () => {
+    const readFeed = file => fs.readFileSync(path.join(distPath, file), 'utf-8');
+
+    it('RSS items carry full content, an author and categories', () => {
+      const content = readFeed('rss.xml');
+      const items = content.match(/<item>[\s\S]*?<\/item>/g) || [];
+
+      expect(items.length).toBeGreaterThan(0);
+      items.forEach(item => {
+        expect(item).toContain('<content:encoded>');
+        expect(item).toMatch(/<author>[^<]+\([^<]+\)<\/author>/);
+        expect(item).toMatch(/<category domain="https?:\/\/[^"]+\/spaces\/[^"]+">/);
+      });
+    });
+
+    it('Atom entries carry HTML content and categories', () => {
+      const content = readFeed('atom.xml');
+      const entries = content.match(/<entry>[\s\S]*?<\/entry>/g) || [];
+
+      expect(entries.length).toBeGreaterThan(0);
+      entries.forEach(entry => {
+        expect(entry).toContain('<content type="html">');
+        expect(entry).toContain('<author><name>');
+        expect(entry).toMatch(/<category term="[^"]+" label="[^"]+" scheme="[^"]+"\/>/);
+      });
+    });
+
+    it('JSON items carry HTML content and their space', () => {
+      const feed = JSON.parse(readFeed('feed.json'));
+
+      expect(feed.authors.length).toBeGreaterThan(0);
+      feed.items.forEach(item => {
+        expect(item.content_html, `${item.id} has no content`).toBeTruthy();
+        expect(item._space.id).toBeTruthy();
+        expect(() => new URL(item._space.url)).not.toThrow();
+      });
+    });
+
+    it('content uses absolute URLs only', () => {
+      const feed = JSON.parse(readFeed('feed.json'));
+
+      feed.items.forEach(item => {
+        const urls = [...item.content_html.matchAll(/\s(?:href|src)="([^"]*)"/g)].map(m => m[1]);
+        urls.forEach(url => {
+          expect(url, `relative URL in ${item.id}`).toMatch(/^(https?:|data:|mailto:)/);
+        });
+      });
+    });
+
+    it('math is embedded as images with its TeX as alt text', () => {
+      const feed = JSON.parse(readFeed('feed.json'));
+      const html = feed.items.map(item => item.content_html).join('');
+
+      expect(html).not.toContain('<mjx-container');
+      expect(html).toMatch(/<img src="data:image\/svg\+xml;base64,[^"]+" alt="[^"]*\\theta/);
+    });
+
+    it('leaves out controls that need the site script', () => {
+      const feed = JSON.parse(readFeed('feed.json'));
+      const html = feed.items.map(item => item.content_html).join('');
+
+      expect(html).toContain('class="code-block"');
+      expect(html).not.toContain('heading-anchor');
+      expect(html).not.toContain('copy-code');
+    });
+  });
+
+  describe('5.6 - Post authors', () => {
+    const readFeed = file => fs.readFileSync(path.join(distPath, file), 'utf-8');
+    const authors = JSON.parse(
+      fs.readFileSync(path.join(__dirname, '../src/authors.json'), 'utf-8')
+    );
+    const names = authors.map(author => author.name);
+
+    it('RSS items list every author as a dc:creator', () => {
+      const content = readFeed('rss.xml');
+      const items = content.match(/<item>[\s\S]*?<\/item>/g) || [];
+
+      expect(content).toContain('xmlns:dc="http://purl.org/dc/elements/1.1/"');
+      items.forEach(item => {
+        const creators = [...item.matchAll(/<dc:creator>([^<]+)<\/dc:creator>/g)].map(m => m[1]);
+        expect(creators.length).toBeGreaterThan(0);
+        creators.forEach(name => expect(names).toContain(name));
+      });
+    });
+
+    it('Atom and JSON authors link to their author pages', () => {
+      const atom = readFeed('atom.xml');
+      const uris = [...atom.matchAll(/<author><name>[^<]+<\/name><uri>([^<]+)<\/uri>/g)];
+
+      expect(uris.length).toBeGreaterThan(0);
+      uris.forEach(([, uri]) => expect(uri).toMatch(/^https?:\/\/.+\/authors\/[^/]+$/));
+
+      JSON.parse(readFeed('feed.json')).items.forEach(item => {
+        expect(item.authors.length, `${item.id} has no authors`).toBeGreaterThan(0);
+        item.authors.forEach(author => {
+          expect(names).toContain(author.name);
+          expect(author.url).toMatch(/\/authors\/[^/]+$/);
+        });
+      });
+    });
+  });
+
+  describe('5.7 - Locale feeds', () => {
+    const readFeed = file => fs.readFileSync(path.join(distPath, file), 'utf-8');
+
+    it('every prefixed locale has RSS, Atom and JSON feeds', () => {
+      ['es/rss.xml', 'es/atom.xml', 'es/feed.json'].forEach(file => {
+        expect(fs.existsSync(path.join(distPath, file)), `${file} not generated`).toBe(true);
+      });
+      expect(readFeed('es/rss.xml')).toContain('<language>es-es</language>');
+      expect(readFeed('es/atom.xml')).toContain('xml:lang="es-es"');
+      expect(readFeed('rss.xml')).toContain('<language>en-us</language>');
+    });
+
+    it('locale feeds only contain posts in that language', () => {
+      const feed = JSON.parse(readFeed('es/feed.json'));
+
+      expect(feed.language).toBe('es-ES');
+      expect(feed.items.length).toBeGreaterThan(0);
+      feed.items.forEach(item => expect(item.url).toMatch(/\/es\/posts\/[^/]+$/));
+
+      JSON.parse(readFeed('feed.json')).items.forEach(item => {
+        expect(item.url).not.toMatch(/\/es\/posts\//);
+      });
+    });
+  });
+
+  describe('5.8 - Updated dates', () => {
+    const readFeed = file => fs.readFileSync(path.join(distPath, file), 'utf-8');
+
+    it('Atom entries are updated at or after they were published', () => {
+      const atom = readFeed('atom.xml');
+      const entries = [...atom.matchAll(/<published>([^<]+)<\/published><updated>([^<]+)<\/updated>/g)];
+      const feedUpdated = atom.match(/<\/id><updated>([^<]+)<\/updated>/)[1];
+
+      expect(entries.length).toBeGreaterThan(0);
+      entries.forEach(([, published, updated]) => {
+        expect(new Date(updated) >= new Date(published), updated).toBe(true);
+      });
+      // The feed changed when its latest entry did.
+      expect(feedUpdated).toBe(entries.map(([, , updated]) => updated).sort().pop());
+    });
+
+    it('JSON Feed items carry date_modified', () => {
+      JSON.parse(readFeed('feed.json')).items.forEach(item => {
+        expect(new Date(item.date_modified) >= new Date(item.date_published), item.id).toBe(true);
+      });
+    });
+  });
 });
 
 describe('Sitemap Tests', () => {
@@ -217,4 +447,25 @@ describe('Sitemap Tests', () => {
       });
     });
   });
+
+  describe('6.4 - Last modified dates', () => {
+    // "/es/posts/slug"; the feeds and the sitemap may disagree on the base path.
+    const postPath = url => url.match(/(\/(?:[a-z]{2}\/)?posts\/[^/]+)\/?$/)?.[1];
+
+    it('post pages have a <lastmod> matching their Atom <updated>', () => {
+      const sitemap = fs.readFileSync(path.join(distPath, 'sitemap-0.xml'), 'utf-8');
+      const atom = fs.readFileSync(path.join(distPath, 'atom.xml'), 'utf-8');
+      const lastmods = new Map(
+        [...sitemap.matchAll(/<loc>([^<]+)<\/loc>(?:<lastmod>([^<]+)<\/lastmod>)?/g)]
+          .filter(m => postPath(m[1]))
+          .map(m => [postPath(m[1]), m[2]])
+      );
+      const entries = [...atom.matchAll(/<link href="([^"]+)"\/><id>[^<]+<\/id><published>[^<]+<\/published><updated>([^<]+)</g)];
+
+      expect(lastmods.size).toBeGreaterThan(0);
+      lastmods.forEach((lastmod, post) => expect(lastmod, post).toMatch(/^\d{4}-\d{2}-\d{2}T/));
+      expect(entries.length).toBeGreaterThan(0);
+      entries.forEach(([, url, updated]) => expect(lastmods.get(postPath(url)), url).toBe(updated));
+    });
+  });
 });
@@ -0,0 +1,194 @@
+/**
+ * Search Tests
+ * Validates the build-time search index and the client-side search engine
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { execSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { stripMarkdown } from '../src/utils/markdown';
+import { search, makeSnippet, tokenize } from '../src/utils/search';
+import { formatReadingTime, getContentStats, getPostStats } from '../src/utils/contentStats';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const distPath = path.join(__dirname, '../dist');
+
+const doc = (overrides) => ({
+  slug: 'post',
+  url: '/posts/post',
+  title: 'Post',
+  description: '',
+  tags: [],
+  space: 'blog',
+  spaceTitle: 'Blog',
+  spaces: ['blog'],
+  date: '2025-01-01T00:00:00.000Z',
+  text: '',
+  ...overrides,
+});
+
+describe('Search Tests', () => {
+  describe('9.1 - Body text extraction', () => {
+    it('strips code, math, JSX and markdown syntax', () => {
+      const body = [
+        "import Chart from '../components/Chart.astro';",
+        '',
+        '## Heading',
+        'Some **bold** text with $x^2$ inline math and `inlineCode`.',
+        '',
+        '$$',
+        'E = mc^2',
+        '$$',
+        '',
+        '```js',
+        'const secret = 42;',
+        '```',
+        '',
+        '<Chart data={[1, 2]} />',
+        'A [link](https://example.com).',
+        'See [[ml/loss-functions|losses]] and [[gradient-descent]].',
+      ].join('\n');
+
+      const text = stripMarkdown(body);
+
+      expect(text).toBe(
+        'Heading Some bold text with inline math and . A link. See losses and gradient descent.'
+      );
+      expect(text).not.toContain('secret');
+      expect(text).not.toContain('mc^2');
+    });
+  });
+
+  describe('9.2 - Ranking and matching', () => {
+    const docs = [
+      doc({ slug: 'body', title: 'Notes', text: 'a paragraph about gradient methods' }),
+      doc({ slug: 'title', title: 'Gradient Descent', text: 'optimization basics' }),
+      doc({ slug: 'other', title: 'React', tags: ['web'], spaces: ['web'], space: 'web' }),
+    ];
+
+    it('ranks title matches above body matches', () => {
+      const results = search(docs, 'gradient');
+      expect(results.map(r => r.doc.slug)).toEqual(['title', 'body']);
+    });
+
+    it('matches the last term as a prefix', () => {
+      expect(search(docs, 'grad').length).toBe(2);
+      expect(search(docs, 'grad descent').length).toBe(0);
+      expect(search(docs, 'gradient desc').map(r => r.doc.slug)).toEqual(['title']);
+    });
+
+    it('filters by space and tag', () => {
+      expect(search(docs, '', { space: 'web' }).map(r => r.doc.slug)).toEqual(['other']);
+      expect(search(docs, '', { tag: 'web' }).map(r => r.doc.slug)).toEqual(['other']);
+      expect(search(docs, 'gradient', { space: 'web' })).toEqual([]);
+    });
+
+    it('highlights matches in escaped snippets', () => {
+      const snippet = makeSnippet('Use <b> tags with gradients', tokenize('grad'));
+      expect(snippet).toBe('Use &lt;b&gt; tags with <mark>grad</mark>ients');
+    });
+  });
+
+  describe('9.3 - Built search index', () => {
+    beforeAll(() => {
+      if (!fs.existsSync(distPath)) {
+        execSync('npm run build', {
+          cwd: path.join(__dirname, '..'),
+          stdio: 'pipe'
+        });
+      }
+    });
+
+    it('search page and index are generated', () => {
+      expect(fs.existsSync(path.join(distPath, 'search', 'index.html'))).toBe(true);
+      expect(fs.existsSync(path.join(distPath, 'search-index.json'))).toBe(true);
+    });
+
+    it('search page passes the reading time template to the client', () => {
+      const html = fs.readFileSync(path.join(distPath, 'search', 'index.html'), 'utf-8');
+
+      expect(html).toContain('data-reading-time="{minutes} min read"');
+    });
+
+    it('index covers every post page', () => {
+      const { docs } = JSON.parse(
+        fs.readFileSync(path.join(distPath, 'search-index.json'), 'utf-8')
+      );
+      const postSlugs = fs.readdirSync(path.join(distPath, 'posts'));
+
+      expect(docs.map(d => d.slug).sort()).toEqual(postSlugs.sort());
+
+      docs.forEach(d => {
+        expect(d.title, `${d.slug}: missing title`).toBeTruthy();
+        expect(d.text.length, `${d.slug}: empty body text`).toBeGreaterThan(0);
+        expect(d.spaces).toContain(d.space);
+        expect(fs.existsSync(path.join(distPath, d.url, 'index.html')), `${d.slug}: ${d.url}`).toBe(true);
+        expect(d.words, `${d.slug}: no words`).toBeGreaterThan(0);
+        expect(d.minutes, `${d.slug}: no reading time`).toBeGreaterThan(0);
+      });
+    });
+  });
+
+  describe('9.4 - Content stats', () => {
+    const words = n => Array.from({ length: n }, (_, i) => `word${i}`).join(' ');
+
+    it('counts prose words without code, math, JSX or imports', () => {
+      const body = [
+        "import Chart from '../components/Chart.astro';",
+        '',
+        '## Four words of heading',
+        '',
+        'Inline $x^2$ and **bold** [link](/a) text.',
+        '',
+        '$$',
+        'a + b = c',
+        '$$',
+        '',
+        '```python',
+        'def f(x):',
+        '',
+        '    return x',
+        '```',
+        '',
+        '<Chart data={[1, 2]} />',
+      ].join('\n');
+
+      expect(getContentStats(body)).toMatchObject({ words: 9, codeLines: 2, equations: 2 });
+    });
+
+    it('ignores dollar signs inside code', () => {
+      expect(getContentStats('Costs `$5` or `$6`.\n\n```sh\necho $HOME $PATH\n```').equations).toBe(0);
+    });
+
+    it('weighs code and math more heavily than prose', () => {
+      const prose = getContentStats(words(400));
+      const code = getContentStats(`${words(400)}\n\n\`\`\`js\n${'x++;\n'.repeat(60)}\`\`\``);
+      const math = getContentStats(`${words(400)}\n\n${'$$\nx\n$$\n\n'.repeat(8)}`);
+
+      expect(prose.minutes).toBe(2);
+      expect(code.minutes).toBe(7);
+      expect(math.minutes).toBe(4);
+      expect(formatReadingTime(prose.minutes + 0.1)).toBe('3 min read');
+      expect(formatReadingTime(2, 'es')).toBe('2 min de lectura');
+    });
+
+    it('measures each post body once', () => {
+      const post = { body: `${words(10)}\n\n$x$` };
+      expect(getPostStats(post)).toBe(getPostStats({ ...post }));
+    });
+
+    it('shows the stats on post pages and listings', () => {
+      const { docs } = JSON.parse(fs.readFileSync(path.join(distPath, 'search-index.json'), 'utf-8'));
+      const doc = docs.find(d => d.slug === 'gradient-descent-explained');
+      const post = fs.readFileSync(path.join(distPath, 'posts', doc.slug, 'index.html'), 'utf-8');
+      const listing = fs.readFileSync(path.join(distPath, 'spaces/ml/optimization/index.html'), 'utf-8');
+
+      expect(post).toMatch(new RegExp(`title="${doc.words} words · \\d+ lines of code · \\d+ equations"[^>]*>${Math.ceil(doc.minutes)} min read<`));
+      expect(listing).toContain(`data-minutes="${doc.minutes}"`);
+    });
+  });
+});
@@ -3,15 +3,34 @@
  * Validates the multi-space architecture works correctly
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeAll } from 'vitest';
 import { getCollection } from 'astro:content';
+import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+  spaceIds,
+  getSpaceTitle,
+  getContentFolders,
+  findSpaceRegistryErrors,
+  getSpaceAncestors,
+  getSpaceDescendantIds,
+  getSpacePath,
+} from '../src/utils/spaces';
+import { generateBreadcrumbs } from '../src/utils/breadcrumbs';
+import {
+  parseFilterQuery,
+  toFilterQuery,
+  isFiltering,
+  filterPosts,
+  DEFAULT_FILTER_STATE,
+} from '../src/utils/postFilter';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const distPath = path.join(__dirname, '../dist');
 const spacesPath = path.join(__dirname, '../src/spaces.json');
 const spaces = JSON.parse(fs.readFileSync(spacesPath, 'utf-8'));
 
@@ -124,4 +143,150 @@ describe('Space System Tests', () => {
       }
     });
   });
+
+  describe('3.6 - Space registry', () => {
+    const contentDir = path.join(__dirname, '../src/content');
+
+    it('registry mirrors spaces.json', () => {
+      expect(spaceIds).toEqual(spaces.map(s => s.id));
+
+      spaces.forEach(space => {
+        expect(getSpaceTitle(space.id)).toBe(space.title);
+      });
+    });
+
+    it('every content folder has a registry entry and vice versa', () => {
+      const errors = findSpaceRegistryErrors(getContentFolders(contentDir));
+      expect(errors, errors.join('\n')).toEqual([]);
+    });
+
+    it('reports folders without entries and entries without folders', () => {
+      const folders = [...spaceIds.slice(1), 'orphan'];
+      const errors = findSpaceRegistryErrors(folders);
+
+      expect(errors.some(e => e.includes(`"${spaceIds[0]}" has no content folder`))).toBe(true);
+      expect(errors.some(e => e.includes('src/content/orphan/ has no entry'))).toBe(true);
+    });
+  });
+
+  describe('3.7 - Nested sub-spaces', () => {
+    const childSpaces = spaces.filter(space => space.parent);
+
+    it('every parent is a declared space', () => {
+      childSpaces.forEach(space => {
+        expect(
+          spaceIds.includes(space.parent),
+          `${space.id}: parent "${space.parent}" not in spaces.json`
+        ).toBe(true);
+      });
+    });
+
+    it('child routes nest under their ancestors', () => {
+      childSpaces.forEach(space => {
+        const ancestors = getSpaceAncestors(space.id).map(s => s.id);
+        expect(ancestors[ancestors.length - 1]).toBe(space.parent);
+        expect(getSpacePath(space.id)).toBe([...ancestors, space.id].join('/'));
+      });
+    });
+
+    it('parent space trees include their children', () => {
+      childSpaces.forEach(space => {
+        getSpaceAncestors(space.id).forEach(ancestor => {
+          expect(getSpaceDescendantIds(ancestor.id)).toContain(space.id);
+        });
+      });
+    });
+
+    it('breadcrumbs list the full ancestor chain', () => {
+      childSpaces.forEach(space => {
+        const labels = generateBreadcrumbs(space.id, 'A Post').map(b => b.label);
+        const expected = [
+          'Home',
+          'Spaces',
+          ...getSpaceAncestors(space.id).map(s => s.title),
+          space.title,
+          'A Post',
+        ];
+        expect(labels).toEqual(expected);
+      });
+    });
+  });
+
+  describe('3.8 - Tags within a space', () => {
+    const post = (title, tags, date, minutes) => ({
+      title,
+      tags,
+      date: new Date(date).getTime(),
+      minutes,
+    });
+    const posts = [
+      post('Beta', ['math', 'ml'], '2025-01-03', 4),
+      post('Alpha', ['math'], '2025-01-02', 9),
+      post('Gamma', ['web'], '2025-01-01', 2),
+    ];
+    const titles = list => list.map(p => p.title);
+    const read = page => fs.readFileSync(path.join(distPath, page), 'utf-8');
+
+    beforeAll(() => {
+      if (!fs.existsSync(distPath)) {
+        execSync('npm run build', { cwd: path.join(__dirname, '..'), stdio: 'pipe' });
+      }
+    });
+
+    it('reads and writes the filter state in the URL query', () => {
+      const state = parseFilterQuery('?tags=math,ml&match=all&sort=title');
+
+      expect(state).toEqual({ tags: ['math', 'ml'], match: 'all', sort: 'title' });
+      expect(toFilterQuery(state)).toBe('?tags=math,ml&match=all&sort=title');
+      expect(toFilterQuery(DEFAULT_FILTER_STATE, '?ref=feed')).toBe('?ref=feed');
+      expect(parseFilterQuery('?match=some&sort=random')).toEqual(DEFAULT_FILTER_STATE);
+      expect(isFiltering(DEFAULT_FILTER_STATE)).toBe(false);
+    });
+
+    it('filters by any or all selected tags', () => {
+      const any = { ...DEFAULT_FILTER_STATE, tags: ['ml', 'web'] };
+
+      expect(titles(filterPosts(posts, any))).toEqual(['Beta', 'Gamma']);
+      expect(titles(filterPosts(posts, { ...any, tags: ['math', 'ml'], match: 'all' }))).toEqual([
+        'Beta',
+      ]);
+    });
+
+    it('sorts by date, title or reading time', () => {
+      const sorted = sort => titles(filterPosts(posts, { ...DEFAULT_FILTER_STATE, sort }));
+
+      expect(sorted('date')).toEqual(['Beta', 'Alpha', 'Gamma']);
+      expect(sorted('title')).toEqual(['Alpha', 'Beta', 'Gamma']);
+      expect(sorted('reading')).toEqual(['Gamma', 'Beta', 'Alpha']);
+    });
+
+    it('builds a tag page for every tag used in a space', async () => {
+      const posts = [...(await getCollection('ml')), ...(await getCollection('optimization'))];
+      const tags = new Set(posts.flatMap(p => p.data.tags));
+
+      tags.forEach(tag => {
+        const page = read(`spaces/ml/tags/${tag}/index.html`);
+        const items = page.match(/<article class="post-item"/g);
+
+        expect(items.length, tag).toBe(posts.filter(p => p.data.tags.includes(tag)).length);
+        expect(page).toMatch(/class="facet"[^>]*aria-current="page"/);
+        // Facets link to the other tag pages instead of filtering this one.
+        expect(page, tag).not.toContain('data-post-filters');
+        expect(page, tag).not.toContain('data-filter-options');
+        expect(page, tag).not.toMatch(/class="facet"[^>]*data-tag=/);
+      });
+      expect(fs.existsSync(path.join(distPath, 'spaces/web/tags/math'))).toBe(false);
+    });
+
+    it('shows a facet bar with per-space tag counts', () => {
+      const page = read('spaces/ml/index.html');
+      const count = tag =>
+        Number(page.match(new RegExp(`data-tag="${tag}"[^>]*>\\s*#${tag} <span class="facet-count"[^>]*>(\\d+)`))?.[1]);
+
+      expect(page).toContain('data-post-filters');
+      expect(count('optimization')).toBe(2);
+      expect(count('math')).toBe(1);
+      expect(page).not.toContain('data-tag="react"');
+    });
+  });
 });
@@ -5,6 +5,17 @@
 
 import { describe, it, expect } from 'vitest';
 import { getCollection } from 'astro:content';
+import { collections } from '../src/content/config';
+import { scoreRelatedPosts, getRelatedPosts, getTagCounts } from '../src/utils/contentHelpers';
+import {
+  normalizeTag,
+  normalizeTags,
+  findTagRegistryErrors,
+  getChildTags,
+  getTagAncestors,
+  getTagCloudLevel,
+  getRelatedTags,
+} from '../src/utils/tags';
 
 describe('Tag System Tests', () => {
   describe('4.1 - Tag format validation', async () => {
@@ -168,4 +179,110 @@ describe('Tag System Tests', () => {
       }
     });
   });
+
+  describe('4.5 - Related posts', () => {
+    const post = (id, tags, body) => ({
+      id: `${id}.mdx`,
+      slug: id,
+      collection: 'ml',
+      body,
+      data: { tags, space: 'ml', date: new Date('2025-01-01') },
+    });
+    const posts = [
+      post('gradient-descent', ['optimization', 'math'], 'Gradient descent follows the gradient of the loss downhill.'),
+      post('sgd', ['optimization', 'math'], 'Stochastic gradient descent estimates the gradient from a batch.'),
+      post('loss', ['loss', 'math'], 'A loss function measures how wrong predictions are.'),
+      post('css', ['css', 'web'], 'Cascading style sheets lay out web pages.'),
+    ];
+    const slugs = related => related.map(r => r.post.slug);
+
+    it('ranks posts sharing tags and vocabulary first', () => {
+      const related = scoreRelatedPosts(posts[0], posts, { minScore: 0 });
+
+      expect(slugs(related)[0]).toBe('sgd');
+      expect(slugs(related)).not.toContain('gradient-descent');
+      related.forEach(r => {
+        expect(r.score).toBeGreaterThanOrEqual(0);
+        expect(r.score).toBeLessThanOrEqual(1);
+      });
+    });
+
+    it('applies the score cutoff and limit', () => {
+      expect(slugs(scoreRelatedPosts(posts[0], posts, { minScore: 0.1 }))).not.toContain('css');
+      expect(scoreRelatedPosts(posts[0], posts, { minScore: 0, limit: 1 })).toHaveLength(1);
+    });
+
+    it('can score by tags or by text alone', () => {
+      const byTags = scoreRelatedPosts(posts[0], posts, { minScore: 0, tagWeight: 1 });
+      const loss = byTags.find(r => r.post.slug === 'loss');
+      const css = byTags.find(r => r.post.slug === 'css');
+      expect(loss.score).toBeGreaterThan(0);
+      expect(css.score).toBe(0);
+
+      const byText = scoreRelatedPosts(posts[2], posts, { minScore: 0, tagWeight: 0 });
+      expect(byText.find(r => r.post.slug === 'css').score).toBe(0);
+    });
+
+    it('finds related posts across all spaces', async () => {
+      const [first] = await getCollection('optimization');
+      const related = await getRelatedPosts(first, { minScore: 0, limit: 10 });
+
+      expect(related.length).toBeGreaterThan(0);
+      expect(new Set(related.map(r => r.post.data.space)).size).toBeGreaterThan(1);
+    });
+  });
+
+  describe('4.6 - Tag taxonomy', () => {
+    const post = tags => ({ data: { tags } });
+
+    it('tags.json is consistent', () => {
+      expect(findTagRegistryErrors()).toEqual([]);
+    });
+
+    it('rewrites aliases to their canonical tag', () => {
+      expect(normalizeTag('machine-learning')).toBe('ml');
+      expect(normalizeTag(' ReactJS ')).toBe('react');
+      expect(normalizeTag('unlisted')).toBe('unlisted');
+      expect(normalizeTags(['ml', 'machine-learning', 'math'])).toEqual(['ml', 'math']);
+    });
+
+    it('normalizes tags when content is loaded', () => {
+      const frontmatter = {
+        title: 'Aliased',
+        description: 'Uses an alias',
+        date: '2025-01-01',
+        tags: ['Machine-Learning', 'ml', 'math'],
+      };
+      const { tags } = collections.optimization.schema.parse(frontmatter);
+
+      expect(tags).toEqual(['ml', 'math']);
+    });
+
+    it('knows parent and child tags', () => {
+      expect(getTagAncestors('attention')).toEqual(['ml', 'deep-learning', 'transformers']);
+      expect(getChildTags('web')).toEqual(expect.arrayContaining(['frontend', 'astro']));
+    });
+
+    it('counts posts per tag', async () => {
+      const counts = await getTagCounts();
+      const optimization = counts.find(({ tag }) => tag === 'optimization');
+
+      expect(optimization.count).toBeGreaterThanOrEqual(3);
+      expect(counts.map(({ tag }) => tag)).toEqual([...counts.map(({ tag }) => tag)].sort());
+    });
+
+    it('sizes the tag cloud on a log scale', () => {
+      expect(getTagCloudLevel(1, 1, 8)).toBe(1);
+      expect(getTagCloudLevel(8, 1, 8)).toBe(5);
+      expect(getTagCloudLevel(2, 1, 8)).toBeLessThan(getTagCloudLevel(4, 1, 8));
+      expect(getTagCloudLevel(3, 3, 3)).toBe(3);
+    });
+
+    it('relates tags that share posts, most shared first', () => {
+      const posts = [post(['a', 'b', 'c']), post(['a', 'c']), post(['b', 'd'])];
+
+      expect(getRelatedTags('a', posts)).toEqual(['c', 'b']);
+      expect(getRelatedTags('a', posts, 1)).toEqual(['c']);
+    });
+  });
 });
@@ -8,6 +8,8 @@ import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { buildToc, getTocDepth, DEFAULT_TOC_DEPTH } from '../src/utils/toc';
+import { parseCodeMeta, parseLineRanges } from '../src/plugins/shiki-code-meta.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -224,4 +226,108 @@ describe('UI Component Tests', () => {
       });
     });
   });
+
+  describe('7.7 - Table of contents', () => {
+    const heading = (depth, slug) => ({ depth, slug, text: slug });
+    const headings = [
+      heading(1, 'title'),
+      heading(2, 'intro'),
+      heading(3, 'background'),
+      heading(4, 'details'),
+      heading(2, 'method'),
+      heading(3, 'setup'),
+    ];
+    const outline = items => items.map(item => [item.slug, outline(item.children)]);
+
+    it('nests h2 and below, skipping the title', () => {
+      expect(outline(buildToc(headings))).toEqual([
+        ['intro', [['background', []]]],
+        ['method', [['setup', []]]],
+      ]);
+    });
+
+    it('respects the configured depth', () => {
+      expect(outline(buildToc(headings, 2))).toEqual([
+        ['intro', []],
+        ['method', []],
+      ]);
+      expect(outline(buildToc(headings, 4))[0]).toEqual(['intro', [['background', [['details', []]]]]]);
+    });
+
+    it('reads depth from frontmatter', () => {
+      expect(getTocDepth(undefined)).toBe(DEFAULT_TOC_DEPTH);
+      expect(getTocDepth(true)).toBe(DEFAULT_TOC_DEPTH);
+      expect(getTocDepth(4)).toBe(4);
+      expect(getTocDepth(false)).toBe(0);
+      expect(buildToc(headings, getTocDepth(false))).toEqual([]);
+    });
+
+    it('posts with several sections get a TOC linking to their headings', () => {
+      const content = fs.readFileSync(
+        path.join(distPath, 'posts', 'attention-is-all-you-need', 'index.html'),
+        'utf-8'
+      );
+
+      expect(content).toContain('aria-label="Table of contents"');
+      const slugs = [...content.matchAll(/data-toc-slug="([^"]+)"/g)].map(m => m[1]);
+      expect(slugs.length).toBeGreaterThan(1);
+      slugs.forEach(slug => {
+        expect(content, `no heading with id ${slug}`).toContain(`id="${slug}"`);
+      });
+    });
+
+    it('headings have copy-link anchors', () => {
+      const content = fs.readFileSync(
+        path.join(distPath, 'posts', 'attention-is-all-you-need', 'index.html'),
+        'utf-8'
+      );
+
+      expect(content).toMatch(/<h2 id="([^"]+)">[^<]*<a class="heading-anchor" href="#\1"/);
+    });
+  });
+
+  describe('7.8 - Code blocks', () => {
+    it('parses line ranges', () => {
+      expect([...parseLineRanges('1, 3-5,8')]).toEqual([1, 3, 4, 5, 8]);
+      expect([...parseLineRanges('')]).toEqual([]);
+    });
+
+    it('parses fenced-code meta', () => {
+      const meta = parseCodeMeta('title="src/{app}.js" {2,4-5} ins={7} del={6} showLineNumbers');
+
+      expect(meta.title).toBe('src/{app}.js');
+      expect([...meta.highlight]).toEqual([2, 4, 5]);
+      expect([...meta.ins]).toEqual([7]);
+      expect([...meta.del]).toEqual([6]);
+      expect(meta.lineNumbers).toBe(true);
+      expect(parseCodeMeta('').lineNumbers).toBe(false);
+      expect(parseCodeMeta(undefined).title).toBeUndefined();
+    });
+
+    it('renders titles, marked lines, numbers and a copy button', () => {
+      const content = fs.readFileSync(
+        path.join(distPath, 'posts', 'building-a-react-spa', 'index.html'),
+        'utf-8'
+      );
+      const block = content.match(/<figure class="code-block"><figcaption[\s\S]*?<\/figure>/)?.[0];
+
+      expect(block).toContain('<figcaption class="code-title">src/App.jsx</figcaption>');
+      expect(block).toMatch(/<pre class="[^"]*line-numbers/);
+      expect(block).toContain('class="line highlighted"');
+      expect(block.match(/class="line diff add"/g)).toHaveLength(3);
+      expect(block.match(/class="line diff remove"/g)).toHaveLength(1);
+      expect(block).toMatch(/<button type="button" class="copy-code" aria-label="Copy code" hidden>/);
+    });
+
+    it('code carries both light and dark theme colours', () => {
+      const content = fs.readFileSync(
+        path.join(distPath, 'posts', 'building-a-react-spa', 'index.html'),
+        'utf-8'
+      );
+
+      expect(content).toMatch(/<pre class="astro-code astro-code-themes github-light github-dark/);
+      expect(content).toContain('--shiki-dark:');
+      expect(content).toContain('--shiki-dark-bg:');
+    });
+  });
 });